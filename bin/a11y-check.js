@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+import { writeFile } from 'fs/promises';
+import { parseArgs } from 'util';
+import { createBrowserPool } from '../lib/browser-pool.js';
+import { mapWithConcurrency } from '../lib/job-queue.js';
+import { discoverSitemapUrls } from '../lib/crawler.js';
+import { parseFormat, renderReport } from '../lib/formats.js';
+import { createAuditor, parseProfiles, VIEWPORT_PROFILES, USER_AGENT } from '../lib/audit.js';
+import {
+  STANDARDS,
+  parseStandard,
+  parseRunners,
+  stripStandard,
+  aggregateSiteResults
+} from '../lib/report.js';
+import { LANGS, DEFAULT_LANG, parseLang, t } from '../lib/i18n.js';
+
+// ===== Kommandozeile für CI-Pipelines =====
+// Dieselbe Prüfung wie die API (pa11y-Konfiguration, Aufbereitung, Score), aber
+// ohne Server: URLs bzw. eine Sitemap prüfen, Zusammenfassung ausgeben, Report (JSON,
+// JUnit, SARIF oder PDF) schreiben. Exit-Code 0 = bestanden, 1 = Schwelle verfehlt, 2 = Aufruf- oder Laufzeitfehler.
+// Anders als die API prüft die CLI auch lokale Ziele (z. B. http://localhost:8080 im CI-Job).
+// Ausgaben stehen im Abschnitt `cli` der Locale-Kataloge.
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_ERROR = 2;
+
+const FILE_EXTENSIONS = { json: 'json', junit: 'xml', sarif: 'sarif', pdf: 'pdf' };
+
+const FAIL_ON = {
+  critical: ['critical'],
+  warning: ['critical', 'warning'],
+  any: ['critical', 'warning', 'low']
+};
+
+function usageError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_ARGUMENTS';
+  return err;
+}
+
+function parseCliArgs(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        sitemap: { type: 'string' },
+        'max-pages': { type: 'string' },
+        standard: { type: 'string' },
+        runners: { type: 'string' },
+        profile: { type: 'string' },
+        'min-score': { type: 'string' },
+        'fail-on': { type: 'string' },
+        concurrency: { type: 'string' },
+        format: { type: 'string' },
+        output: { type: 'string', short: 'o' },
+        lang: { type: 'string' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (err) {
+    throw usageError(err.message);
+  }
+  const { values, positionals } = parsed;
+
+  const lang = values.lang === undefined ? DEFAULT_LANG : parseLang(values.lang);
+  if (!lang) throw usageError(t(DEFAULT_LANG, 'cli.invalidLang', { langs: LANGS.join(', ') }));
+  const text = (key, vars) => t(lang, `cli.${key}`, vars);
+  if (values.help) return { help: true, lang };
+
+  const urls = positionals.map((url) => {
+    try {
+      const u = new URL(url);
+      if (u.protocol === 'http:' || u.protocol === 'https:') return u.href;
+    } catch {}
+    throw usageError(text('invalidUrl', { url }));
+  });
+  if (values.sitemap && !/^https?:\/\//i.test(values.sitemap)) throw usageError(text('invalidSitemap', { url: values.sitemap }));
+  if (!urls.length && !values.sitemap) throw usageError(text('missingTarget'));
+
+  const standard = parseStandard(values.standard);
+  if (!standard) throw usageError(text('invalidStandard'));
+  const runners = parseRunners(values.runners?.includes(',') ? values.runners.split(',').map(r => r.trim()) : values.runners);
+  if (!runners) throw usageError(text('invalidRunners'));
+  // Ein Profil je Lauf; den Vergleichsmodus bietet nur die API
+  const profiles = values.profile === 'compare' ? null : parseProfiles(values.profile);
+  if (!profiles) throw usageError(text('invalidProfile', { profiles: Object.keys(VIEWPORT_PROFILES).join(', ') }));
+
+  const minScore = values['min-score'] === undefined ? null : Number(values['min-score']);
+  if (minScore !== null && !(Number.isFinite(minScore) && minScore >= 0 && minScore <= 100)) {
+    throw usageError(text('invalidMinScore'));
+  }
+  const failOn = values['fail-on'] ?? null;
+  if (failOn !== null && !FAIL_ON[failOn]) throw usageError(text('invalidFailOn'));
+
+  const format = values.format === undefined ? 'json' : parseFormat(values.format);
+  if (!format) throw usageError(text('invalidFormat'));
+
+  const positiveInt = (name, fallback) => {
+    if (values[name] === undefined) return fallback;
+    const n = Number(values[name]);
+    if (!Number.isInteger(n) || n < 1) throw usageError(text('invalidPositiveInt', { name }));
+    return n;
+  };
+
+  return {
+    urls,
+    sitemap: values.sitemap ?? null,
+    maxPages: positiveInt('max-pages', 50),
+    concurrency: positiveInt('concurrency', 1),
+    standard,
+    runners,
+    profile: profiles[0],
+    minScore,
+    failOn,
+    format,
+    output: values.output ?? `a11y-report.${FILE_EXTENSIONS[format]}`,
+    lang
+  };
+}
+
+// Titel, Lösung und Bewertung kommen bereits in der gewählten Sprache aus dem Bericht
+function printPage(page, text) {
+  console.log(`\n${page.url}`);
+  if (!page.success) {
+    console.log(`  ${text('failedPage', { error: page.error })}`);
+    return;
+  }
+  console.log(`  Score ${page.score}/100 (${page.grade}) – ${page.assessment}`);
+  console.log(`  ${text('counts', page.counts)}`);
+  for (const prio of ['critical', 'warning']) {
+    const issues = page.issues.filter(i => i.isPriority === prio);
+    if (!issues.length) continue;
+    console.log(`  ${text(prio)}:`);
+    for (const issue of issues.slice(0, 5)) {
+      console.log(`    ${prio === 'critical' ? '✗' : '!'} ${issue.translation?.title || stripStandard(issue.code)} (${issue.count}×)`);
+      if (issue.translation?.fix) console.log(`      ${text('fix')}: ${issue.translation.fix}`);
+    }
+    if (issues.length > 5) console.log(`    … +${issues.length - 5}`);
+  }
+}
+
+// Schwellen je Seite; liefert die Gründe für einen Fehlschlag
+function checkThresholds(pages, { minScore, failOn }, text) {
+  const failures = [];
+  for (const page of pages) {
+    if (!page.success) {
+      failures.push(text('pageFailed', { url: page.url }));
+      continue;
+    }
+    if (minScore !== null && page.score < minScore) failures.push(text('belowMinScore', { url: page.url, score: page.score, min: minScore }));
+    if (failOn) {
+      for (const prio of FAIL_ON[failOn]) {
+        const count = page.issues.filter(i => i.isPriority === prio).length;
+        if (count) failures.push(text('priorityFound', { url: page.url, count, priority: prio }));
+      }
+    }
+  }
+  return failures;
+}
+
+async function main(argv) {
+  const options = parseCliArgs(argv);
+  const text = (key, vars) => t(options.lang, `cli.${key}`, vars);
+  if (options.help) {
+    console.log(text('usage'));
+    return EXIT_OK;
+  }
+  const { standard, runners, profile, lang } = options;
+  const startTime = Date.now();
+
+  const urls = [...options.urls];
+  if (options.sitemap) {
+    const found = await discoverSitemapUrls(options.sitemap, { userAgent: USER_AGENT, limit: options.maxPages });
+    if (!found.length) throw usageError(text('noSitemapUrls', { url: options.sitemap }));
+    console.log(text('sitemap', { count: found.length, url: options.sitemap }));
+    urls.push(...found.filter(u => !urls.includes(u)));
+  }
+
+  const pool = createBrowserPool({
+    launchOptions: { args: ['--no-sandbox', '--disable-setuid-sandbox'], ignoreHTTPSErrors: true },
+    maxPages: options.concurrency,
+    maxWaiting: urls.length
+  });
+  const { runA11yCheck } = createAuditor({ pool, guardTargets: false });
+
+  console.log(text('heading', { standard: STANDARDS[standard], runners: runners.join(', ') }));
+  let pages;
+  try {
+    pages = await mapWithConcurrency(urls, options.concurrency, async (url) => {
+      let page;
+      try {
+        page = { url, ...await runA11yCheck(url, { profile, standard, runners, lang }) };
+      } catch (err) {
+        page = { url, success: false, error: `${err.name} – ${err.message}`, code: err.code };
+      }
+      printPage(page, text);
+      return page;
+    });
+  } finally {
+    await pool.close();
+  }
+
+  const site = aggregateSiteResults(pages, { lang });
+  const failures = checkThresholds(pages, options, text);
+  const report = {
+    success: failures.length === 0,
+    standard: STANDARDS[standard],
+    standardCode: standard,
+    runners,
+    profile,
+    lang,
+    timestamp: new Date().toISOString(),
+    analysisTimeMs: Date.now() - startTime,
+    thresholds: { minScore: options.minScore, failOn: options.failOn },
+    failures,
+    ...site,
+    pages
+  };
+  await writeFile(options.output, options.format === 'json' ? JSON.stringify(report, null, 2) : await renderReport(report, options.format));
+
+  console.log('');
+  if (site.score !== null) console.log(text('total', { count: site.summary.pagesScanned, score: site.score, grade: site.grade }));
+  console.log(text('reportWritten', { file: options.output }));
+  if (site.summary.pagesScanned === 0) {
+    console.error(text('failed'));
+    failures.forEach(f => console.error(`  - ${f}`));
+    return EXIT_ERROR;
+  }
+  if (failures.length) {
+    console.error(text('failed'));
+    failures.forEach(f => console.error(`  - ${f}`));
+    return EXIT_FAILED;
+  }
+  console.log(text('passed'));
+  return EXIT_OK;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (err) => {
+    console.error(`a11y-check: ${err.message}`);
+    process.exitCode = EXIT_ERROR;
+  }
+);
@@ -0,0 +1,83 @@
+// ===== Interaktionsschritte → pa11y-Actions =====
+// Schritte kommen als Objekte aus dem Request-Body und werden in die
+// Textbefehle übersetzt, die pa11y vor der Prüfung ausführt.
+
+const STEP_TYPES = {
+  fill: (s) => `set field ${selector(s)} to ${text(s.value, 'value')}`,
+  click: (s) => `click element ${selector(s)}`,
+  check: (s) => `check field ${selector(s)}`,
+  uncheck: (s) => `uncheck field ${selector(s)}`,
+  waitForElement: (s) => `wait for element ${selector(s)} to be ${state(s.state)}`,
+  waitForUrl: (s) => `wait for url to be ${token(s.url, 'url')}`,
+  waitForPath: (s) => `wait for path to be ${token(s.path, 'path')}`,
+  navigate: (s) => `navigate to ${token(s.url, 'url')}`
+};
+
+function stepError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_STEPS';
+  err.status = 400;
+  return err;
+}
+
+function text(value, field) {
+  if (typeof value !== 'string' || /[\r\n]/.test(value)) {
+    throw stepError(`Feld "${field}" muss ein einzeiliger Text sein.`);
+  }
+  return value;
+}
+
+// pa11y trennt Selektor und Wert an „ to “, daher darf der Selektor das nicht enthalten
+function selector(step) {
+  const sel = text(step.selector, 'selector').trim();
+  if (!sel || / to /i.test(sel)) throw stepError(`Ungültiger Selektor: "${sel}"`);
+  return sel;
+}
+
+function token(value, field) {
+  const v = text(value, field).trim();
+  if (!v || /\s/.test(v)) throw stepError(`Feld "${field}" darf keine Leerzeichen enthalten.`);
+  return v;
+}
+
+function state(value = 'visible') {
+  if (!['added', 'removed', 'visible', 'hidden'].includes(value)) {
+    throw stepError('state muss added, removed, visible oder hidden sein.');
+  }
+  return value;
+}
+
+// Liefert die pa11y-Actions; wirft INVALID_STEPS bei unbekannten oder unvollständigen Schritten
+export function stepsToActions(steps, { maxSteps = 30 } = {}) {
+  if (!Array.isArray(steps)) throw stepError('Schritte müssen als Liste angegeben werden.');
+  if (steps.length > maxSteps) throw stepError(`Maximal ${maxSteps} Schritte erlaubt.`);
+  return steps.map((step, i) => {
+    const build = STEP_TYPES[step?.action];
+    if (!build) {
+      throw stepError(`Schritt ${i + 1}: unbekannte Aktion "${step?.action}". Erlaubt: ${Object.keys(STEP_TYPES).join(', ')}.`);
+    }
+    return build(step);
+  });
+}
+
+// Benannte Zustände: [{ name, steps }] → [{ name, actions }]
+export function parseStates(states, { maxStates = 10 } = {}) {
+  if (!Array.isArray(states) || !states.length) throw stepError('states muss eine nicht leere Liste sein.');
+  if (states.length > maxStates) throw stepError(`Maximal ${maxStates} Zustände pro Prüfung.`);
+  const names = new Set();
+  return states.map((state, i) => {
+    const name = typeof state?.name === 'string' ? state.name.trim() : '';
+    if (!name) throw stepError(`Zustand ${i + 1}: Bitte einen Namen angeben.`);
+    if (names.has(name)) throw stepError(`Zustandsname "${name}" ist doppelt.`);
+    names.add(name);
+    if (!Array.isArray(state.steps) || !state.steps.length) {
+      throw stepError(`Zustand "${name}": steps darf nicht leer sein.`);
+    }
+    try {
+      return { name, actions: stepsToActions(state.steps) };
+    } catch (err) {
+      err.message = `Zustand "${name}": ${err.message}`;
+      throw err;
+    }
+  });
+}
@@ -0,0 +1,65 @@
+// ===== Alarm-Versand für Monitore (Webhook / E-Mail) =====
+// Webhook-Ziele laufen durch `checkUrl` (SSRF-Schutz), beim Verbinden noch
+// einmal durch `dispatcher`, und folgen keinen Weiterleitungen. E-Mails gehen über SMTP_URL; nodemailer wird erst beim
+// ersten Versand geladen.
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+export function createAlertSender({ smtpUrl, mailFrom, checkUrl, dispatcher, userAgent }) {
+  let transport = null;
+
+  async function sendWebhook(webhookUrl, alert) {
+    await checkUrl(webhookUrl);
+    const r = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'User-Agent': userAgent },
+      body: JSON.stringify(alert),
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      dispatcher
+    }).catch((err) => {
+      throw err.cause?.code === 'TARGET_NOT_ALLOWED' ? err.cause : err;
+    });
+    if (!r.ok) throw new Error(`Webhook antwortete mit HTTP ${r.status}`);
+  }
+
+  async function sendEmail(to, alert) {
+    if (!smtpUrl) throw new Error('E-Mail-Versand ist nicht konfiguriert (SMTP_URL fehlt).');
+    if (!transport) {
+      const { default: nodemailer } = await import('nodemailer');
+      transport = nodemailer.createTransport(smtpUrl);
+    }
+    await transport.sendMail({
+      from: mailFrom,
+      to,
+      subject: `Barrierefreiheit: ${alert.reasons.length} Auffälligkeit(en) bei ${alert.url}`,
+      text: [
+        `Monitor ${alert.monitorId} hat bei ${alert.url} Folgendes festgestellt:`,
+        '',
+        ...alert.reasons.map(r => `- ${r}`),
+        '',
+        `Score: ${alert.score}${alert.previousScore != null ? ` (vorher ${alert.previousScore})` : ''}`,
+        alert.scanId ? `Bericht: /api/scans/${alert.scanId}` : '',
+        `Zeitpunkt: ${alert.timestamp}`
+      ].join('\n')
+    });
+  }
+
+  // Liefert je Kanal { channel, ok, error? }; ein fehlgeschlagener Kanal hält die anderen nicht auf
+  async function send({ webhookUrl, email }, alert) {
+    const channels = [];
+    if (webhookUrl) channels.push(['webhook', () => sendWebhook(webhookUrl, alert)]);
+    if (email) channels.push(['email', () => sendEmail(email, alert)]);
+    return Promise.all(channels.map(async ([channel, deliver]) => {
+      try {
+        await deliver();
+        return { channel, ok: true };
+      } catch (err) {
+        console.error(`[MONITOR] Alarm per ${channel} fehlgeschlagen:`, err.message);
+        return { channel, ok: false, error: err.message };
+      }
+    }));
+  }
+
+  return { send };
+}
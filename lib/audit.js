@@ -0,0 +1,294 @@
+import pa11y from 'pa11y';
+import { assertPublicTarget, guardPage } from './target-guard.js';
+import { redactSecrets } from './scan-auth.js';
+import {
+  DEFAULT_RUNNERS,
+  DEFAULT_STANDARD,
+  STANDARDS,
+  buildReport,
+  createIssueMerger,
+  mergeRunnerIssues,
+  processAndCleanIssues
+} from './report.js';
+import { attachScreenshots, captureScreenshots } from './screenshots.js';
+import { DEFAULT_LANG } from './i18n.js';
+
+// ===== Geräte-/Viewport-Profile =====
+// 200 % Zoom entspricht einem halb so breiten Viewport bei doppelter Pixeldichte
+const MOBILE_USER_AGENT = 'Mozilla/5.0 (Linux; Android 13; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/127 Mobile Safari/537.36';
+export const VIEWPORT_PROFILES = {
+  desktop: { label: 'Desktop (1280 px)', viewport: { width: 1280, height: 1024 } },
+  tablet: { label: 'Tablet (768 px)', viewport: { width: 768, height: 1024, deviceScaleFactor: 2, isMobile: true, hasTouch: true }, mobile: true },
+  mobile: { label: 'Smartphone (320 px)', viewport: { width: 320, height: 640, deviceScaleFactor: 2, isMobile: true, hasTouch: true }, mobile: true },
+  zoom200: { label: '200 % Zoom (1280 px)', viewport: { width: 640, height: 512, deviceScaleFactor: 2 } }
+};
+const DEFAULT_PROFILES = ['desktop'];
+
+// Profilname, Liste von Profilen oder "compare" (alle); null bei ungültigem Wert.
+// Die Reihenfolge ist fest, damit Desktop im Vergleich die Basis bleibt.
+export function parseProfiles(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_PROFILES;
+  if (value === 'compare') return Object.keys(VIEWPORT_PROFILES);
+  const list = Array.isArray(value) ? value : [value];
+  if (!list.length || !list.every(p => Object.hasOwn(VIEWPORT_PROFILES, p))) return null;
+  return Object.keys(VIEWPORT_PROFILES).filter(p => list.includes(p));
+}
+export const INVALID_PROFILES_ERROR = `Ungültiges Profil. Erlaubt sind ${Object.keys(VIEWPORT_PROFILES).map(p => `"${p}"`).join(', ')} oder "compare".`;
+
+const describeProfile = (name) => ({ name, label: VIEWPORT_PROFILES[name].label, viewport: VIEWPORT_PROFILES[name].viewport });
+
+// ===== Fortschritt =====
+// Fortschrittsstufen, die der Widget-Overlay anzeigt
+const SCAN_STAGES = {
+  validated: { percent: 5, label: 'URL geprüft' },
+  browserLaunched: { percent: 20, label: 'Browser gestartet' },
+  pageLoaded: { percent: 50, label: 'Seite geladen' },
+  auditFinished: { percent: 80, label: 'Prüfung abgeschlossen' },
+  issuesProcessed: { percent: 90, label: 'Ergebnisse aufbereitet' },
+  scored: { percent: 100, label: 'Score berechnet' }
+};
+export const stageProgress = (stage) => ({ stage, ...SCAN_STAGES[stage] });
+
+// pa11y meldet das Ende des Seitenaufrufs nur über das Debug-Log
+// (Debug-Meldungen wie „Running action: set field … to <Passwort>“ werden nie ausgegeben)
+function pa11yProgressLog(onProgress, secrets) {
+  return {
+    debug: (msg) => {
+      if (msg === 'Injecting Pa11y') onProgress('pageLoaded');
+    },
+    info: () => {},
+    error: (msg) => console.error('[A11Y-CHECK] pa11y:', redactSecrets(msg, secrets))
+  };
+}
+
+// ===== HTML-Snippets =====
+const escapeAttr = (v) => String(v).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+const isFullDocument = (html) => /<html[\s>]|<!doctype\s+html/i.test(html);
+
+// Fragmente werden in ein Minimal-Dokument gesetzt (mit Titel und Sprache,
+// damit nur die Komponente bewertet wird); die Basis-URL kommt als <base> in den <head>
+function prepareHtmlDocument(html, baseUrl) {
+  const base = baseUrl ? `<base href="${escapeAttr(baseUrl)}">` : '';
+  if (!isFullDocument(html)) {
+    return `<!doctype html><html lang="de"><head><meta charset="utf-8">${base}<title>HTML-Snippet</title></head><body>${html}</body></html>`;
+  }
+  if (!base) return html;
+  return /<head(\s[^>]*)?>/i.test(html)
+    ? html.replace(/<head(\s[^>]*)?>/i, (m) => m + base)
+    : html.replace(/<html(\s[^>]*)?>/i, (m) => `${m}<head>${base}</head>`);
+}
+
+export const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/127 Safari/537.36';
+
+function scanHeader(url, { html, auth, profile, standard, runners, lang }) {
+  return {
+    success: true,
+    url,
+    ...(html != null && { source: { type: 'html', fragment: !isFullDocument(html), bytes: Buffer.byteLength(html) } }),
+    standard: STANDARDS[standard],
+    standardCode: standard,
+    runners,
+    lang,
+    ...(profile && { profile: describeProfile(profile) }),
+    ...(auth && { auth: auth.summary })
+  };
+}
+
+// Fortschritt je Variante, sobald deren Seite einen Browser-Slot hat
+const variantProgress = (job, stage, total) => (i, name) => (scanStage) => {
+  if (scanStage !== 'browserLaunched') return;
+  job.setProgress({ stage, percent: Math.round((i / total) * 100), label: `${name} (${i + 1} von ${total})` });
+};
+
+// ===== Prüfung im Browser =====
+// `pool` ist ein Browser-Pool (lib/browser-pool.js), `suppressionsFor(url)` liefert
+// den Unterdrückungs-Matcher je URL. Ohne `guardTargets` entfällt der SSRF-Schutz,
+// damit die CLI auch lokale Ziele (localhost im CI-Job) prüfen kann; Header aus
+// `auth` setzt nur der Schutz, die CLI bietet daher keine Login-Optionen an.
+// `onIssues(issues)` erhält die Roh-Issues jeder geprüften Seite (Katalog-Abdeckung).
+export function createAuditor({ pool, suppressionsFor = () => null, onIssues = () => {}, guardTargets = true }) {
+  // Lädt die Seite, führt die Schritte aus und liefert die Roh-Issues beider Runner.
+  // `onPage(page, merged)` läuft nach pa11y mit den zusammengeführten Issues, solange die Seite noch offen ist.
+  // Mit `html` wird statt `url` der übergebene Quelltext geprüft (`url` dient dann als Basis-URL).
+  // `auth` ist das Ergebnis von parseAuth(): Header, Cookies und Login-Schritte vor der Prüfung;
+  // `actions` sind weitere pa11y-Actions danach (z. B. ein Menü öffnen).
+  async function auditPage(url, { html, auth, actions = [], profile = 'desktop', standard, runners, onProgress, onPage }) {
+    const { viewport, mobile } = VIEWPORT_PROFILES[profile];
+    const secrets = auth?.secrets || [];
+    if (guardTargets) {
+      if (url) await assertPublicTarget(url);
+      if (auth?.loginUrl) await assertPublicTarget(auth.loginUrl);
+    }
+    return pool.withPage(async ({ browser, page }) => {
+      onProgress('browserLaunched');
+      // Jede Navigation und Subressource läuft durch den SSRF-Schutz
+      const guard = guardTargets
+        ? await guardPage(page, { extraHeaders: auth?.headers, headerOrigins: auth?.headerOrigins })
+        : { violation: null };
+      let res;
+      try {
+        if (html != null) {
+          await page.setContent(prepareHtmlDocument(html, url), { waitUntil: 'load', timeout: 30000 });
+        }
+        if (auth?.cookies.length) await page.setCookie(...auth.cookies);
+        res = await pa11y(auth?.loginUrl || url || 'about:blank', {
+          browser,
+          page,
+          ignoreUrl: html != null,
+          actions: [...(auth?.actions || []), ...actions],
+          log: pa11yProgressLog(onProgress, secrets),
+          standard,
+          runners,
+          includeNotices: true,
+          includeWarnings: true,
+          timeout: 90000,
+          wait: 1000,
+          viewport,
+          userAgent: mobile ? MOBILE_USER_AGENT : USER_AGENT
+        });
+      } catch (err) {
+        if (guard.violation) throw guard.violation;
+        err.message = redactSecrets(err.message, secrets);
+        throw err;
+      }
+      if (guard.violation) throw guard.violation;
+      onIssues(res.issues);
+      const merged = mergeRunnerIssues(res.issues);
+      if (onPage) await onPage(page, merged);
+      return merged;
+    });
+  }
+
+  // `screenshots` ({ perIssue, maxTotal }) nimmt die Beispiel-Elemente auf, solange
+  // die Seite offen ist; die Bilder stehen dann unter `screenshots.files` im Ergebnis.
+  // `lang` wählt die Sprache der Texte im Bericht (lib/i18n.js).
+  async function runA11yCheck(url, { html, auth, profile = 'desktop', standard = DEFAULT_STANDARD, runners = DEFAULT_RUNNERS, lang = DEFAULT_LANG, screenshots = null, onProgress = () => {}, onPage } = {}) {
+    const startTime = Date.now();
+    const suppress = suppressionsFor(url);
+    let report;
+    let captured = null;
+    await auditPage(url, {
+      html, auth, profile, standard, runners, onProgress,
+      onPage: async (page, { issues, duplicates }) => {
+        if (onPage) await onPage(page);
+        report = buildReport(issues, { duplicates, suppress, lang, onProgress });
+        if (!screenshots) return;
+        try {
+          captured = attachScreenshots(report.issues, await captureScreenshots(page, report.issues, screenshots), screenshots);
+        } catch (err) {
+          // Der Bericht ist auch ohne Screenshots brauchbar
+          console.error('[A11Y-CHECK] Screenshots fehlgeschlagen:', err.message);
+          captured = { issues: report.issues, screenshots: { count: 0, error: 'Screenshots konnten nicht aufgenommen werden.' } };
+        }
+      }
+    });
+    const { counts, issues: processedIssues, suppressed, summary, meta, ...scoring } = report;
+
+    return {
+      ...scanHeader(url, { html, auth, profile, standard, runners, lang }),
+      counts,
+      ...scoring,
+      timestamp: new Date().toISOString(),
+      analysisTimeMs: Date.now() - startTime,
+      issues: captured ? captured.issues : processedIssues,
+      ...(captured && { screenshots: captured.screenshots }),
+      suppressed,
+      summary,
+      meta
+    };
+  }
+
+  // Jeder Zustand wird in einer frischen Seite hergestellt: Ausgangszustand plus seine Schritte
+  async function runStateAudit(job, { url, html, auth, profile, standard, runners, lang = DEFAULT_LANG, states }) {
+    const startTime = Date.now();
+    const base = { html, auth, profile, standard, runners };
+    const suppress = suppressionsFor(url);
+    const progress = variantProgress(job, 'states', states.length + 1);
+
+    const initial = await auditPage(url, { ...base, onProgress: progress(0, 'Ausgangszustand') });
+    const merger = createIssueMerger(initial.issues);
+    let duplicates = initial.duplicates;
+
+    const stateResults = [];
+    for (const [i, state] of states.entries()) {
+      try {
+        const { issues, duplicates: dup } = await auditPage(url, { ...base, actions: state.actions, onProgress: progress(i + 1, state.name) });
+        const fresh = merger.add(issues);
+        duplicates += dup;
+        stateResults.push({ name: state.name, success: true, steps: state.actions.length, newIssues: fresh.length, ...buildReport(issues, { duplicates: dup, suppress, lang }) });
+      } catch (err) {
+        console.error(`[A11Y-CHECK] Zustand "${state.name}" fehlgeschlagen:`, err.name, err.message);
+        stateResults.push({ name: state.name, success: false, steps: state.actions.length, error: `${err.name} – ${err.message}`, code: err.code });
+      }
+    }
+
+    const { counts, issues: processedIssues, suppressed, summary, meta, ...scoring } = buildReport(merger.merged, { duplicates, suppress, lang });
+    job.setProgress({ stage: 'states', percent: 100, label: 'Alle Zustände geprüft' });
+
+    return {
+      ...scanHeader(url, { html, auth, profile, standard, runners, lang }),
+      counts,
+      ...scoring,
+      timestamp: new Date().toISOString(),
+      analysisTimeMs: Date.now() - startTime,
+      issues: processedIssues,
+      suppressed,
+      summary,
+      meta,
+      initialState: { name: 'Ausgangszustand', ...buildReport(initial.issues, { duplicates: initial.duplicates, suppress, lang }) },
+      states: stateResults
+    };
+  }
+
+  // Vergleichsmodus: dieselbe Seite in mehreren Profilen; das erste Profil ist die Basis,
+  // `onlyHere` zeigt je Profil die Issues, die dort zusätzlich auftreten (z. B. nur mobil)
+  async function runProfileComparison(job, { url, html, auth, profiles, standard, runners, lang = DEFAULT_LANG }) {
+    const startTime = Date.now();
+    const base = { html, auth, standard, runners };
+    const suppress = suppressionsFor(url);
+    const progress = variantProgress(job, 'profiles', profiles.length);
+
+    const [baseline, ...others] = profiles;
+    const first = await auditPage(url, { ...base, profile: baseline, onProgress: progress(0, VIEWPORT_PROFILES[baseline].label) });
+    const merger = createIssueMerger(first.issues);
+    let duplicates = first.duplicates;
+
+    const profileResults = [{ ...describeProfile(baseline), success: true, baseline: true, ...buildReport(first.issues, { duplicates: first.duplicates, suppress, lang }) }];
+    for (const [i, profile] of others.entries()) {
+      try {
+        const { issues, duplicates: dup } = await auditPage(url, { ...base, profile, onProgress: progress(i + 1, VIEWPORT_PROFILES[profile].label) });
+        const fresh = merger.add(issues);
+        duplicates += dup;
+        profileResults.push({
+          ...describeProfile(profile),
+          success: true,
+          baseline: false,
+          ...buildReport(issues, { duplicates: dup, suppress, lang }),
+          newIssues: fresh.length,
+          onlyHere: processAndCleanIssues(fresh, { lang })
+        });
+      } catch (err) {
+        console.error(`[A11Y-CHECK] Profil "${profile}" fehlgeschlagen:`, err.name, err.message);
+        profileResults.push({ ...describeProfile(profile), success: false, baseline: false, error: `${err.name} – ${err.message}`, code: err.code });
+      }
+    }
+
+    const { counts, issues: processedIssues, suppressed, summary, meta, ...scoring } = buildReport(merger.merged, { duplicates, suppress, lang });
+    job.setProgress({ stage: 'profiles', percent: 100, label: 'Alle Profile geprüft' });
+
+    return {
+      ...scanHeader(url, { html, auth, standard, runners, lang }),
+      counts,
+      ...scoring,
+      timestamp: new Date().toISOString(),
+      analysisTimeMs: Date.now() - startTime,
+      issues: processedIssues,
+      suppressed,
+      summary,
+      meta,
+      comparison: { baseline, profiles: profileResults }
+    };
+  }
+
+  return { auditPage, runA11yCheck, runStateAudit, runProfileComparison };
+}
@@ -0,0 +1,143 @@
+import puppeteer from 'puppeteer';
+
+// ===== Gemeinsamer Headless-Browser mit Seiten-Pool =====
+// Ein langlebiges Chromium; jede Analyse bekommt eine eigene Seite in einem
+// eigenen Inkognito-Kontext (keine geteilten Cookies zwischen Scans).
+// Nach einem Absturz wird beim nächsten Zugriff neu gestartet. Nach
+// `recycleAfter` Scans gibt es keine neuen Seiten mehr, bis die laufenden
+// fertig sind; dann folgt der Neustart, und die Wartenden kommen an die Reihe.
+// `launch(launchOptions)` startet den Browser (Standard: puppeteer.launch).
+export function createBrowserPool({
+  launchOptions = {},
+  launch = (options) => puppeteer.launch(options),
+  maxPages = 2,
+  maxWaiting = 10,
+  recycleAfter = 50,
+  acquireTimeoutMs = 60000
+} = {}) {
+  let browser = null;
+  let launching = null;
+  let active = 0;
+  let scans = 0;
+  const waiters = [];
+
+  async function getBrowser() {
+    if (browser && browser.isConnected()) return browser;
+    if (!launching) {
+      launching = launch(launchOptions)
+        .then(b => {
+          console.log('[BROWSER] Chromium gestartet');
+          b.on('disconnected', () => {
+            if (browser === b) {
+              console.warn('[BROWSER] Chromium beendet – Neustart beim nächsten Scan');
+              browser = null;
+            }
+          });
+          browser = b;
+          scans = 0;
+          return b;
+        })
+        .finally(() => { launching = null; });
+    }
+    return launching;
+  }
+
+  // Auch unter Last: neue Anfragen warten, bis der Browser ersetzt ist
+  const draining = () => scans >= recycleAfter;
+
+  async function recycleIfDue() {
+    if (active > 0 || !draining()) return;
+    const old = browser;
+    const count = scans;
+    browser = null;
+    scans = 0;
+    // Freie Slots an die Wartenden; der erste startet den neuen Browser
+    while (waiters.length && active < maxPages) grantSlot(waiters.shift());
+    if (!old) return;
+    console.log(`[BROWSER] Neustart nach ${count} Scans`);
+    await old.close().catch(() => {});
+  }
+
+  function waitForSlot() {
+    if (waiters.length >= maxWaiting) {
+      const err = new Error('Alle Browser-Slots sind belegt. Bitte später erneut versuchen.');
+      err.code = 'POOL_FULL';
+      err.status = 503;
+      return Promise.reject(err);
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        // Schon bedient (grantSlot): nicht versehentlich einen anderen Wartenden entfernen
+        const i = waiters.indexOf(waiter);
+        if (i === -1) return;
+        waiters.splice(i, 1);
+        const err = new Error('Zeitüberschreitung beim Warten auf einen freien Browser-Slot.');
+        err.code = 'POOL_TIMEOUT';
+        err.status = 503;
+        reject(err);
+      }, acquireTimeoutMs);
+      waiters.push(waiter);
+    });
+  }
+
+  function grantSlot(waiter) {
+    clearTimeout(waiter.timer);
+    active++;
+    waiter.resolve();
+  }
+
+  // Der Slot geht direkt an den nächsten Wartenden, außer der Browser steht vor dem Neustart
+  function releaseSlot() {
+    active--;
+    if (waiters.length && !draining()) grantSlot(waiters.shift());
+    else recycleIfDue();
+  }
+
+  // Liefert { browser, page, release }; release() schließt Seite und Kontext
+  async function acquire() {
+    if (active >= maxPages || draining()) await waitForSlot();
+    else active++;
+
+    let context;
+    try {
+      const b = await getBrowser();
+      context = await b.createIncognitoBrowserContext();
+      const page = await context.newPage();
+      scans++;
+      let released = false;
+      const release = async () => {
+        if (released) return;
+        released = true;
+        await context.close().catch(() => {});
+        releaseSlot();
+      };
+      return { browser: b, page, release };
+    } catch (err) {
+      if (context) await context.close().catch(() => {});
+      releaseSlot();
+      throw err;
+    }
+  }
+
+  async function withPage(fn) {
+    const lease = await acquire();
+    try {
+      return await fn(lease);
+    } finally {
+      await lease.release();
+    }
+  }
+
+  function stats() {
+    return { connected: !!(browser && browser.isConnected()), active, waiting: waiters.length, maxPages, scans };
+  }
+
+  async function close() {
+    const b = browser;
+    browser = null;
+    if (b) await b.close().catch(() => {});
+  }
+
+  return { acquire, withPage, stats, close };
+}
@@ -0,0 +1,80 @@
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { hasCatalogEntry, stripStandard } from './catalog.js';
+
+// ===== Katalog-Abdeckung =====
+// Merkt sich pa11y-Codes, die ohne Eintrag in locales/issues.json gemeldet wurden,
+// mit Anzahl der Fundstellen und Seiten. So ist sichtbar, welche Übersetzungen als
+// Nächstes fehlen; der Bericht zeigt für diese Codes nur die Runner-Meldung.
+
+const MAX_CODES = 1000;
+
+export function createCoverageTracker({ file }) {
+  const codes = new Map();
+  let writes = Promise.resolve();
+
+  // Schreibvorgänge nacheinander; ein Fehler erreicht den Aufrufer, blockiert aber keine späteren
+  function persist() {
+    const run = writes.then(async () => {
+      const tmp = `${file}.${process.pid}.tmp`;
+      await writeFile(tmp, JSON.stringify(Array.from(codes.values()), null, 2));
+      await rename(tmp, file);
+    });
+    writes = run.catch(() => {});
+    return run;
+  }
+
+  async function init() {
+    await mkdir(dirname(file), { recursive: true });
+    try {
+      for (const entry of JSON.parse(await readFile(file, 'utf8'))) codes.set(entry.code, entry);
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`[CATALOG] ${file} nicht lesbar – starte leer:`, err.message);
+      codes.clear();
+    }
+    // Inzwischen übersetzte Codes fallen heraus
+    for (const code of codes.keys()) if (hasCatalogEntry(code)) codes.delete(code);
+    console.log(`[CATALOG] ${codes.size} Codes ohne Katalogeintrag bekannt`);
+  }
+
+  // Roh-Issues einer geprüften Seite; ein Speicherfehler lässt den Scan nicht scheitern
+  function record(issues) {
+    const now = new Date().toISOString();
+    const seen = new Set();
+    for (const issue of issues) {
+      if (!issue.code || hasCatalogEntry(issue.code)) continue;
+      const code = stripStandard(issue.code);
+      let entry = codes.get(code);
+      if (!entry) {
+        if (codes.size >= MAX_CODES) continue;
+        entry = {
+          code,
+          runner: issue.runner || 'htmlcs',
+          occurrences: 0,
+          pages: 0,
+          firstSeen: now,
+          lastSeen: now,
+          example: issue.message?.trim().slice(0, 500) || null
+        };
+        codes.set(code, entry);
+      }
+      entry.occurrences++;
+      entry.lastSeen = now;
+      if (!seen.has(code)) {
+        seen.add(code);
+        entry.pages++;
+      }
+    }
+    if (seen.size) {
+      persist().catch(err => console.error('[CATALOG] Abdeckung konnte nicht gespeichert werden:', err.message));
+    }
+  }
+
+  // Häufigste zuerst
+  function list() {
+    return Array.from(codes.values())
+      .sort((a, b) => b.occurrences - a.occurrences || a.code.localeCompare(b.code));
+  }
+
+  return { init, record, list };
+}
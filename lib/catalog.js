@@ -0,0 +1,32 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { DEFAULT_LANG, FALLBACK_LANG } from './i18n.js';
+
+// ===== Problem-Katalog =====
+// locales/issues.json ist die einzige Quelle für Problem-Texte: je Code (ohne
+// Standard-Präfix, axe mit Regel-ID) das WCAG-Erfolgskriterium ("1.4.3"), die
+// Konformitätsstufe ("A" | "AA" | "AAA") und je Sprache Titel, Beschreibung und
+// Lösung. axe-Regeln ohne Erfolgskriterium (Best Practices) haben beides als null.
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+let catalog = {};
+try {
+  catalog = JSON.parse(fs.readFileSync(join(__dirname, '..', 'locales', 'issues.json'), 'utf8'));
+} catch (e) {
+  console.warn('⚠️ locales/issues.json nicht lesbar:', e.message);
+}
+
+// Codes ohne Standard-Präfix, damit ein Eintrag für alle Level greift
+export const stripStandard = (code) => code.replace(/^WCAG2A{1,3}\./, '');
+
+export const hasCatalogEntry = (code) => Object.hasOwn(catalog, stripStandard(code));
+
+// { criterion, level, title, description, fix }; Texte je Feld aus der Sprache,
+// sonst Englisch. null, wenn der Code nicht im Katalog steht.
+export function catalogEntry(code, lang = DEFAULT_LANG) {
+  const entry = catalog[stripStandard(code)];
+  if (!entry) return null;
+  return { criterion: entry.criterion, level: entry.level, ...entry[FALLBACK_LANG], ...entry[lang] };
+}
@@ -0,0 +1,144 @@
+// ===== Website-Crawl: Seiten aus sitemap.xml und internen Links finden =====
+
+const SKIP_EXTENSIONS = /\.(pdf|zip|gz|rar|7z|jpe?g|png|gif|webp|svg|ico|mp[34]|mov|avi|webm|docx?|xlsx?|pptx?|css|js|json|xml|txt)$/i;
+const MAX_SITEMAPS = 10;
+const FETCH_TIMEOUT_MS = 10000;
+
+// Wildcard-Muster („/blog/*“) gegen Pfad + Query prüfen
+function patternToRegex(pattern) {
+  const escaped = String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+export function createUrlFilter({ include = [], exclude = [] } = {}) {
+  const inc = include.map(patternToRegex);
+  const exc = exclude.map(patternToRegex);
+  return (url) => {
+    const u = new URL(url);
+    const path = u.pathname + u.search;
+    if (inc.length && !inc.some(r => r.test(path))) return false;
+    return !exc.some(r => r.test(path));
+  };
+}
+
+// Gleicher Host (Schema wird angeglichen), ohne Fragment, keine Downloads/Assets
+export function normalizeLink(href, base, origin) {
+  try {
+    const u = new URL(href, base);
+    const o = new URL(origin);
+    if (u.protocol !== 'http:' && u.protocol !== 'https:') return null;
+    if (u.host !== o.host) return null;
+    u.protocol = o.protocol;
+    if (SKIP_EXTENSIONS.test(u.pathname)) return null;
+    u.hash = '';
+    return u.toString();
+  } catch {
+    return null;
+  }
+}
+
+const MAX_REDIRECTS = 5;
+
+// Weiterleitungen werden einzeln verfolgt, damit `checkUrl` jedes Ziel prüfen kann
+async function fetchText(url, { userAgent, checkUrl }) {
+  try {
+    let current = url;
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      await checkUrl(current);
+      const r = await fetch(current, {
+        headers: { 'User-Agent': userAgent },
+        redirect: 'manual',
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+      });
+      const location = r.headers.get('location');
+      if (r.status >= 300 && r.status < 400 && location) {
+        current = new URL(location, current).toString();
+        continue;
+      }
+      return r.ok ? await r.text() : null;
+    }
+    return null;
+  } catch {
+    return null;
+  }
+}
+
+const extractLocs = (xml) =>
+  Array.from(xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]\s]+)\s*(?:\]\]>)?\s*<\/loc>/gi), m => m[1].replace(/&amp;/g, '&'));
+
+// Sitemap-URLs aus robots.txt und /sitemap.xml einsammeln (inkl. Sitemap-Index).
+// Zeigt `startUrl` selbst auf eine .xml-Datei, wird nur diese Sitemap gelesen.
+export async function discoverSitemapUrls(startUrl, { userAgent, checkUrl = async () => {}, limit = 500 } = {}) {
+  const origin = new URL(startUrl).origin;
+  const sitemaps = [];
+  if (/\.xml$/i.test(new URL(startUrl).pathname)) {
+    sitemaps.push(startUrl);
+  } else {
+    const robots = await fetchText(`${origin}/robots.txt`, { userAgent, checkUrl });
+    if (robots) sitemaps.push(...Array.from(robots.matchAll(/^\s*sitemap:\s*(\S+)/gim), m => m[1]));
+    if (!sitemaps.length) sitemaps.push(`${origin}/sitemap.xml`);
+  }
+
+  const found = new Set();
+  const seen = new Set();
+  while (sitemaps.length && seen.size < MAX_SITEMAPS && found.size < limit) {
+    const sitemapUrl = sitemaps.shift();
+    if (seen.has(sitemapUrl)) continue;
+    seen.add(sitemapUrl);
+    const xml = await fetchText(sitemapUrl, { userAgent, checkUrl });
+    if (!xml) continue;
+    const locs = extractLocs(xml);
+    if (/<sitemapindex[\s>]/i.test(xml)) {
+      sitemaps.push(...locs);
+      continue;
+    }
+    for (const loc of locs) {
+      const link = normalizeLink(loc, origin, origin);
+      if (link) found.add(link);
+      if (found.size >= limit) break;
+    }
+  }
+  return Array.from(found);
+}
+
+// Breitensuche ab der Start-URL; `scanPage(url)` liefert { result, links }
+export async function crawlSite({
+  startUrl,
+  maxPages,
+  maxDepth,
+  include,
+  exclude,
+  userAgent,
+  checkUrl,
+  scanPage,
+  onProgress = () => {}
+}) {
+  const origin = new URL(startUrl).origin;
+  const allowed = createUrlFilter({ include, exclude });
+  const queued = new Set([startUrl]);
+  const frontier = [{ url: startUrl, depth: 0 }];
+
+  const enqueue = (url, depth) => {
+    if (!url || queued.has(url) || depth > maxDepth || !allowed(url)) return;
+    queued.add(url);
+    frontier.push({ url, depth });
+  };
+
+  const sitemapUrls = await discoverSitemapUrls(startUrl, { userAgent, checkUrl, limit: maxPages * 5 });
+  sitemapUrls.forEach(url => enqueue(url, 1));
+
+  const pages = [];
+  while (frontier.length && pages.length < maxPages) {
+    const { url, depth } = frontier.shift();
+    onProgress({ done: pages.length, total: Math.min(maxPages, pages.length + frontier.length + 1), url });
+    try {
+      const { result, links = [] } = await scanPage(url);
+      pages.push({ url, depth, ...result });
+      links.forEach(href => enqueue(normalizeLink(href, url, origin), depth + 1));
+    } catch (err) {
+      pages.push({ url, depth, success: false, error: `${err.name} – ${err.message}`, code: err.code });
+    }
+  }
+
+  return { pages, sitemapUrls: sitemapUrls.length, discovered: queued.size };
+}
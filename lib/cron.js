@@ -0,0 +1,110 @@
+// ===== Minimaler Cron-Parser (UTC) =====
+// Fünf Felder „Minute Stunde Tag Monat Wochentag“ mit *, Listen (1,15),
+// Bereichen (1-5) und Schritten (*/15, 8-18/2); dazu Kürzel wie „daily“.
+// Wie bei cron gilt: sind Tag und Wochentag eingeschränkt, reicht eines von beiden.
+
+const ALIASES = {
+  hourly: '0 * * * *',
+  daily: '0 3 * * *',
+  weekly: '0 3 * * 1',
+  monthly: '0 3 1 * *'
+};
+
+const FIELDS = [
+  { name: 'Minute', min: 0, max: 59 },
+  { name: 'Stunde', min: 0, max: 23 },
+  { name: 'Tag', min: 1, max: 31 },
+  { name: 'Monat', min: 1, max: 12 },
+  { name: 'Wochentag', min: 0, max: 7 }
+];
+
+function cronError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_SCHEDULE';
+  err.status = 400;
+  return err;
+}
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!m) throw cronError(`Ungültiges Feld ${name}: "${part}"`);
+    const from = m[1] === '*' ? min : Number(m[2]);
+    const to = m[1] === '*' ? max : m[3] !== undefined ? Number(m[3]) : m[4] ? max : from;
+    const step = m[4] ? Number(m[4]) : 1;
+    if (from < min || to > max || from > to || step < 1) {
+      throw cronError(`Feld ${name} außerhalb von ${min}-${max}: "${part}"`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+// Liefert { expression, matches(date), minInterval, months, dayMatches(date), times };
+// wirft INVALID_SCHEDULE. `minInterval` ist der kürzeste Abstand zweier Läufe in Minuten
+// (auch über Mitternacht), `times` die Uhrzeiten eines passenden Tages in Minuten ab 0 Uhr.
+export function parseCron(input) {
+  const expression = ALIASES[String(input).trim().toLowerCase().replace(/^@/, '')] || String(input).trim();
+  const parts = expression.split(/\s+/);
+  if (parts.length !== 5) {
+    throw cronError('Zeitplan braucht fünf Felder (Minute Stunde Tag Monat Wochentag) oder hourly/daily/weekly/monthly.');
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0); // Sonntag als 0 oder 7
+  const dayRestricted = parts[2] !== '*';
+  const weekdayRestricted = parts[4] !== '*';
+
+  const dayMatches = (date) => {
+    const dayOk = days.has(date.getUTCDate());
+    const weekdayOk = weekdays.has(date.getUTCDay());
+    if (dayRestricted && weekdayRestricted) return dayOk || weekdayOk;
+    return dayOk && weekdayOk;
+  };
+  const matches = (date) => minutes.has(date.getUTCMinutes()) && hours.has(date.getUTCHours()) &&
+    months.has(date.getUTCMonth() + 1) && dayMatches(date);
+  const times = [...hours].sort((a, b) => a - b)
+    .flatMap(h => [...minutes].sort((a, b) => a - b).map(m => h * 60 + m));
+  const minInterval = Math.min(times[0] + 24 * 60 - times[times.length - 1], ...times.slice(1).map((t, i) => t - times[i]));
+  return { expression, matches, minInterval, months, dayMatches, times };
+}
+
+// Cron kennt kein Jahr: passt der Ausdruck in einem Gemeinjahr, passt er in jedem Jahr.
+// Ausdrücke nur für den 29. Februar (oder den 31. April) fallen hier heraus.
+export function recursEveryYear(cron) {
+  const next = nextRun(cron, new Date(Date.UTC(2022, 11, 31, 23, 59)));
+  return next !== null && next.getUTCFullYear() === 2023;
+}
+
+// Nächster Zeitpunkt nach `from` (minutengenau); null, wenn innerhalb von 366 Tagen keiner passt.
+// Springt über Monate ohne Treffer und sucht je passendem Tag die erste Uhrzeit,
+// statt Minute für Minute zu prüfen (höchstens 367 Tage, läuft bei jedem Tick).
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function nextRun(cron, from = new Date()) {
+  const start = new Date(from);
+  start.setUTCSeconds(0, 0);
+  start.setUTCMinutes(start.getUTCMinutes() + 1);
+  const limit = start.getTime() + 366 * DAY_MS - 60 * 1000;
+  const firstMinute = start.getUTCHours() * 60 + start.getUTCMinutes();
+  let day = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+  const firstDay = day;
+
+  while (day <= limit) {
+    const date = new Date(day);
+    if (!cron.months.has(date.getUTCMonth() + 1)) {
+      day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+      continue;
+    }
+    if (cron.dayMatches(date)) {
+      const floor = day === firstDay ? firstMinute : 0;
+      const time = cron.times.find(t => t >= floor);
+      if (time !== undefined) {
+        const next = day + time * 60 * 1000;
+        return next <= limit ? new Date(next) : null;
+      }
+    }
+    day += DAY_MS;
+  }
+  return null;
+}
@@ -0,0 +1,235 @@
+import { renderPdf } from './pdf-report.js';
+import { DEFAULT_LANG, t } from './i18n.js';
+
+// ===== Ausgabeformate für CI und Code-Scanning =====
+// Scan-Ergebnisse (einzelne Seite, Crawl oder Batch) als JUnit-XML, SARIF 2.1.0
+// oder PDF-Report (lib/pdf-report.js).
+// Fehlgeschlagene Scans ({ success: false, error }) ergeben ebenfalls gültige
+// Dokumente: in JUnit als <error>, in SARIF als Tool-Benachrichtigung.
+// Beschriftungen folgen `report.lang` (Abschnitt `formats` der Locale-Kataloge).
+
+export const FORMATS = ['json', 'junit', 'sarif', 'pdf'];
+
+export const CONTENT_TYPES = {
+  json: 'application/json',
+  junit: 'application/xml',
+  sarif: 'application/sarif+json',
+  pdf: 'application/pdf'
+};
+
+// Accept-Typen in der Reihenfolge, in der sie bei Gleichstand gewinnen (JSON zuerst)
+export const ACCEPT_TYPES = {
+  'application/json': 'json',
+  'application/sarif+json': 'sarif',
+  'application/junit+xml': 'junit',
+  'application/xml': 'junit',
+  'text/xml': 'junit',
+  'application/pdf': 'pdf'
+};
+
+const TOOL_NAME = 'a11y-check';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_LEVELS = { error: 'error', warning: 'warning', notice: 'note' };
+
+// "json" | "junit" | "sarif" | "pdf" (auch "xml" für JUnit); null bei ungültigem Wert
+export function parseFormat(value) {
+  const format = String(value).trim().toLowerCase();
+  if (format === 'xml') return 'junit';
+  return FORMATS.includes(format) ? format : null;
+}
+export const INVALID_FORMAT_ERROR = 'Ungültiges Format. Erlaubt sind "json", "junit", "sarif" oder "pdf".';
+
+// Einzelscan oder Crawl/Batch → Liste von Seiten
+const pagesOf = (report) => (Array.isArray(report.pages) ? report.pages : [report]);
+const pageName = (page, tr) => page.url || tr('htmlSnippet');
+const issueTitle = (issue) => issue.translation?.title || issue.code;
+const translator = (report) => (key, vars) => t(report.lang || DEFAULT_LANG, `formats.${key}`, vars);
+
+// ===== JUnit =====
+const escapeXml = (v) => String(v ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;').replace(/'/g, '&apos;')
+  // In XML 1.0 nicht erlaubte Steuerzeichen
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+const attrs = (values) => Object.entries(values)
+  .filter(([, v]) => v !== undefined && v !== null)
+  .map(([k, v]) => ` ${k}="${escapeXml(v)}"`)
+  .join('');
+
+function issueDetails(issue, tr) {
+  return [
+    issue.translation?.description,
+    issue.successCriterion && `WCAG ${issue.successCriterion}${issue.wcagLevel ? ` (${issue.wcagLevel})` : ''}`,
+    issue.translation?.fix && tr('fix', { fix: issue.translation.fix }),
+    ...(issue.messages || []).slice(0, 5).map(message => tr('message', { message })),
+    ...(issue.selectors || issue.samples || []).slice(0, 20).map(selector => tr('element', { selector }))
+  ].filter(Boolean).join('\n');
+}
+
+// Ein Testfall je Issue-Code; Fehler (type "error") schlagen fehl, unterdrückte sind übersprungen
+function junitTestCase(page, issue, tr, { suppressed = false } = {}) {
+  const open = `    <testcase${attrs({ classname: pageName(page, tr), name: `${issue.code} – ${issueTitle(issue)}`, time: 0 })}`;
+  if (suppressed) {
+    const reasons = (issue.rules || []).map(r => r.justification).join('; ');
+    return `${open}>\n      <skipped${attrs({ message: tr('suppressed', { reasons }) })}/>\n    </testcase>`;
+  }
+  if (issue.type !== 'error') {
+    return `${open}>\n      <system-out>${escapeXml(issueDetails(issue, tr))}</system-out>\n    </testcase>`;
+  }
+  return `${open}>\n      <failure${attrs({ type: issue.isPriority, message: `${issueTitle(issue)} (${issue.count}×)` })}>${escapeXml(issueDetails(issue, tr))}</failure>\n    </testcase>`;
+}
+
+function junitSuite(page, timestamp, tr) {
+  const time = ((page.analysisTimeMs || 0) / 1000).toFixed(3);
+  if (!page.success) {
+    return [
+      `  <testsuite${attrs({ name: pageName(page, tr), tests: 1, failures: 0, errors: 1, skipped: 0, time, timestamp: page.timestamp || timestamp })}>`,
+      `    <testcase${attrs({ classname: pageName(page, tr), name: tr('check'), time })}>`,
+      `      <error${attrs({ type: page.code || 'SCAN_FAILED', message: page.error })}/>`,
+      '    </testcase>',
+      '  </testsuite>'
+    ].join('\n');
+  }
+  const issues = page.issues || [];
+  const suppressed = page.suppressed?.issues || [];
+  const failures = issues.filter(i => i.type === 'error').length;
+  return [
+    `  <testsuite${attrs({ name: pageName(page, tr), tests: issues.length + suppressed.length, failures, errors: 0, skipped: suppressed.length, time, timestamp: page.timestamp || timestamp })}>`,
+    '    <properties>',
+    `      <property${attrs({ name: 'score', value: page.score })}/>`,
+    `      <property${attrs({ name: 'grade', value: page.grade })}/>`,
+    `      <property${attrs({ name: 'standard', value: page.standardCode })}/>`,
+    '    </properties>',
+    ...issues.map(issue => junitTestCase(page, issue, tr)),
+    ...suppressed.map(issue => junitTestCase(page, issue, tr, { suppressed: true })),
+    '  </testsuite>'
+  ].join('\n');
+}
+
+export function toJUnit(report) {
+  const timestamp = report.timestamp || new Date().toISOString();
+  const tr = translator(report);
+  const pages = pagesOf(report);
+  const suites = pages.map(page => junitSuite(page, timestamp, tr));
+  const count = (fn) => pages.reduce((sum, p) => sum + fn(p), 0);
+  const totals = {
+    tests: count(p => (p.success ? (p.issues?.length || 0) + (p.suppressed?.issues.length || 0) : 1)),
+    failures: count(p => (p.success ? (p.issues || []).filter(i => i.type === 'error').length : 0)),
+    errors: count(p => (p.success ? 0 : 1)),
+    skipped: count(p => (p.success ? p.suppressed?.issues.length || 0 : 0))
+  };
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites${attrs({ name: TOOL_NAME, ...totals, time: ((report.analysisTimeMs || 0) / 1000).toFixed(3) })}>`,
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+// ===== SARIF =====
+// Regeln kommen aus der Übersetzung (Titel, Beschreibung, Lösung aus locales/issues.json);
+// jede Issue-Gruppe wird ein Ergebnis, ihre Selektoren sind die Fundstellen.
+function sarifRule(issue) {
+  const level = SARIF_LEVELS[issue.type] || 'note';
+  return {
+    id: issue.code,
+    shortDescription: { text: issueTitle(issue) },
+    ...(issue.translation?.description && { fullDescription: { text: issue.translation.description } }),
+    ...(issue.translation?.fix && { help: { text: issue.translation.fix } }),
+    ...(issue.helpUrl && { helpUri: issue.helpUrl }),
+    defaultConfiguration: { level },
+    properties: {
+      tags: ['accessibility', ...(issue.successCriterion ? [`WCAG ${issue.successCriterion}`] : [])],
+      priority: issue.isPriority,
+      ...(issue.wcagLevel && { wcagLevel: issue.wcagLevel }),
+      runners: issue.runners
+    }
+  };
+}
+
+// Vollständige Liste (gespeicherter Bericht, CLI) oder erste Seite aus einer API-Antwort
+const occurrencesOf = (issue) =>
+  (Array.isArray(issue.occurrences) ? issue.occurrences : issue.occurrences?.items || []);
+
+// Der HTML-Ausschnitt (pa11y `context`) wird, soweit bekannt, als Snippet mitgegeben
+function sarifLocations(page, issue) {
+  const uri = page.url || 'about:blank';
+  const selectors = issue.selectors || issue.samples || [];
+  if (!selectors.length) return [{ physicalLocation: { artifactLocation: { uri } } }];
+  const contexts = new Map(occurrencesOf(issue).filter(o => o.context).map(o => [o.selector, o.context]));
+  return selectors.map(selector => ({
+    physicalLocation: {
+      artifactLocation: { uri },
+      ...(contexts.has(selector) && { region: { snippet: { text: contexts.get(selector) } } })
+    },
+    logicalLocations: [{ name: selector, kind: 'element' }]
+  }));
+}
+
+export function toSarif(report) {
+  const tr = translator(report);
+  const rules = [];
+  const ruleIndex = new Map();
+  const ruleFor = (issue) => {
+    if (!ruleIndex.has(issue.code)) {
+      ruleIndex.set(issue.code, rules.length);
+      rules.push(sarifRule(issue));
+    }
+    return ruleIndex.get(issue.code);
+  };
+
+  const results = [];
+  const notifications = [];
+  for (const page of pagesOf(report)) {
+    if (!page.success) {
+      notifications.push({
+        level: 'error',
+        message: { text: page.error || tr('checkFailed') },
+        ...(page.code && { descriptor: { id: page.code } }),
+        ...(page.url && { locations: [{ physicalLocation: { artifactLocation: { uri: page.url } } }] })
+      });
+      continue;
+    }
+    const toResult = (issue, extra = {}) => ({
+      ruleId: issue.code,
+      ruleIndex: ruleFor(issue),
+      level: SARIF_LEVELS[issue.type] || 'note',
+      message: { text: issue.messages?.[0] || issueTitle(issue) },
+      locations: sarifLocations(page, issue),
+      properties: { count: issue.count, priority: issue.isPriority },
+      ...extra
+    });
+    for (const issue of page.issues || []) results.push(toResult(issue));
+    for (const issue of page.suppressed?.issues || []) {
+      results.push(toResult(issue, {
+        suppressions: (issue.rules || []).map(r => ({ kind: 'external', status: 'accepted', justification: r.justification }))
+      }));
+    }
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: TOOL_NAME, rules } },
+      invocations: [{
+        executionSuccessful: notifications.length === 0,
+        ...(report.timestamp && { endTimeUtc: report.timestamp }),
+        toolExecutionNotifications: notifications
+      }],
+      ...(report.standardCode && { properties: { standard: report.standardCode, score: report.score ?? null } }),
+      results
+    }]
+  };
+}
+
+// Liefert den Body im gewünschten Format (PDF als Buffer, sonst String).
+// `options.loadScreenshot(file)` bettet gespeicherte Screenshots ins PDF ein.
+export async function renderReport(report, format, options = {}) {
+  if (format === 'pdf') return renderPdf(report, options);
+  if (format === 'junit') return toJUnit(report);
+  if (format === 'sarif') return JSON.stringify(toSarif(report), null, 2);
+  return JSON.stringify(report);
+}
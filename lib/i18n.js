@@ -0,0 +1,49 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+// ===== Sprachen (Locale-Kataloge) =====
+// Je Sprache ein Katalog unter locales/<lang>.json mit den Abschnitten
+// `report` (Bewertungen, Hinweise), `pdf`, `formats` (JUnit/SARIF), `cli`
+// (bin/a11y-check.js) und `widget` (Oberfläche von embed.js);
+// die Problem-Texte stehen in locales/issues.json (lib/catalog.js).
+// Texte dürfen Platzhalter wie {count} enthalten. Fehlt ein Schlüssel, gilt der
+// englische Katalog; fehlt er auch dort, kommt der Schlüssel selbst zurück.
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const LANGS = ['de', 'en', 'fr'];
+export const DEFAULT_LANG = 'de';
+export const FALLBACK_LANG = 'en';
+
+const catalogs = Object.fromEntries(LANGS.map((lang) => {
+  try {
+    return [lang, JSON.parse(fs.readFileSync(join(__dirname, '..', 'locales', `${lang}.json`), 'utf8'))];
+  } catch (e) {
+    console.warn(`⚠️ locales/${lang}.json nicht lesbar:`, e.message);
+    return [lang, {}];
+  }
+}));
+
+// "de", "en", "fr", auch mit Region ("de-AT", "fr_CH"); null bei ungültigem Wert
+export function parseLang(value) {
+  const lang = String(value).trim().toLowerCase().split(/[-_]/)[0];
+  return LANGS.includes(lang) ? lang : null;
+}
+export const INVALID_LANG_ERROR = `Ungültige Sprache. Erlaubt sind ${LANGS.map(l => `"${l}"`).join(', ')}.`;
+
+const fill = (text, vars) => text.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+
+// Text aus einem Abschnitt: t('de', 'pdf.title'); ohne Eintrag der Schlüssel selbst
+export function t(lang, key, vars = {}) {
+  const dot = key.indexOf('.');
+  const section = key.slice(0, dot);
+  const name = key.slice(dot + 1);
+  const text = catalogs[lang]?.[section]?.[name] ?? catalogs[FALLBACK_LANG][section]?.[name];
+  return text == null ? key : fill(text, vars);
+}
+
+// Alle Oberflächentexte für das Widget, Lücken aus dem englischen Katalog
+export function widgetStrings(lang) {
+  return { ...catalogs[FALLBACK_LANG].widget, ...catalogs[lang]?.widget };
+}
@@ -0,0 +1,107 @@
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+
+// ===== Begrenzte In-Process-Queue für Scan-Jobs =====
+// Höchstens `concurrency` Jobs laufen gleichzeitig, höchstens `maxQueued` warten.
+// Abgeschlossene Jobs bleiben `retentionMs` lang abrufbar.
+// Jeder Job meldet über `job.events` die Ereignisse 'progress' und 'end'.
+export function createJobQueue({ concurrency = 1, maxQueued = 20, retentionMs = 60 * 60 * 1000 } = {}) {
+  const jobs = new Map();
+  const waiting = [];
+  let running = 0;
+
+  const cleanupTimer = setInterval(() => {
+    const cutoff = Date.now() - retentionMs;
+    for (const [id, job] of jobs) {
+      if (job.finishedAt && job.finishedAt < cutoff) jobs.delete(id);
+    }
+  }, Math.min(retentionMs, 60 * 1000));
+  cleanupTimer.unref();
+
+  function next() {
+    while (running < concurrency && waiting.length) {
+      const job = waiting.shift();
+      running++;
+      job.status = 'running';
+      job.startedAt = Date.now();
+      Promise.resolve()
+        .then(() => job.task(job))
+        .then(result => {
+          job.status = 'done';
+          job.result = result;
+        }, err => {
+          job.status = 'failed';
+          job.error = err;
+        })
+        .finally(() => {
+          job.finishedAt = Date.now();
+          job.task = null;
+          running--;
+          job.settle();
+          job.events.emit('end', job);
+          next();
+        });
+    }
+  }
+
+  // Reiht einen Job ein; wirft QUEUE_FULL, wenn die Warteschlange voll ist
+  function submit(task, meta = {}) {
+    if (waiting.length >= maxQueued) {
+      const err = new Error('Zu viele Analysen in der Warteschlange. Bitte später erneut versuchen.');
+      err.code = 'QUEUE_FULL';
+      err.status = 503;
+      throw err;
+    }
+    const job = {
+      id: randomUUID(),
+      status: 'queued',
+      meta,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      progress: null,
+      events: new EventEmitter(),
+      task
+    };
+    job.setProgress = (progress) => {
+      job.progress = progress;
+      job.events.emit('progress', progress);
+    };
+    job.done = new Promise(resolve => { job.settle = resolve; });
+    jobs.set(job.id, job);
+    waiting.push(job);
+    next();
+    return job;
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  function position(job) {
+    const idx = waiting.indexOf(job);
+    return idx === -1 ? null : idx + 1;
+  }
+
+  function stats() {
+    return { running, queued: waiting.length, concurrency, maxQueued };
+  }
+
+  return { submit, get, position, stats };
+}
+
+// Führt `fn` für alle Einträge aus, höchstens `limit` gleichzeitig; Reihenfolge bleibt erhalten
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const i = nextIndex++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
@@ -0,0 +1,187 @@
+import { randomUUID } from 'crypto';
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+import { nextRun, parseCron, recursEveryYear } from './cron.js';
+
+// ===== Wiederkehrende Prüfungen (Monitore) =====
+// Monitore liegen in einer JSON-Datei, inklusive `nextRunAt`; nach einem
+// Neustart werden überfällige Monitore beim ersten Takt einmal nachgeholt.
+// Die eigentliche Prüfung übernimmt `runMonitor(monitor)` des Aufrufers und
+// liefert den Lauf ({ status, scanId, score, … }), der als `lastRun` gespeichert wird.
+// Findet ein Monitor keinen weiteren Termin, wird er pausiert (`scheduleError`).
+// Zeitpläne müssen mindestens `minIntervalMinutes` zwischen zwei Läufen lassen.
+
+const TICK_MS = 30 * 1000;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function monitorError(message, status = 400) {
+  const err = new Error(message);
+  err.code = 'INVALID_MONITOR';
+  err.status = status;
+  return err;
+}
+
+function scheduleFrom(input, now, { minIntervalMinutes = 0 } = {}) {
+  const cron = parseCron(input);
+  if (cron.minInterval < minIntervalMinutes) {
+    throw monitorError(`Zeitplan "${input}" läuft zu oft – zwischen zwei Läufen müssen mindestens ${minIntervalMinutes} Minuten liegen.`);
+  }
+  if (!recursEveryYear(cron)) {
+    throw monitorError(`Zeitplan "${input}" trifft nicht in jedem Jahr zu (z. B. nur am 29. Februar).`);
+  }
+  const next = nextRun(cron, now);
+  if (!next) throw monitorError(`Zeitplan "${input}" trifft nie zu.`);
+  return { cron, next };
+}
+
+export function createMonitorService({ file, maxMonitors = 100, minIntervalMinutes = 15, runMonitor }) {
+  let monitors = [];
+  let writes = Promise.resolve();
+  let timer = null;
+  const running = new Set();
+
+  function persist() {
+    const run = writes.then(async () => {
+      const tmp = `${file}.${process.pid}.tmp`;
+      await writeFile(tmp, JSON.stringify(monitors, null, 2));
+      await rename(tmp, file);
+    });
+    writes = run.catch(err => console.error('[MONITOR] Speichern fehlgeschlagen:', err.message));
+    return run;
+  }
+
+  async function init() {
+    await mkdir(dirname(file), { recursive: true });
+    try {
+      monitors = JSON.parse(await readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`[MONITOR] ${file} nicht lesbar – starte leer:`, err.message);
+      monitors = [];
+    }
+    // Gespeicherte Monitore mit ungültigem Zeitplan (z. B. von älteren Versionen) nicht mehr einplanen
+    let suspended = 0;
+    for (const monitor of monitors.filter(m => !m.paused)) {
+      try {
+        scheduleFrom(monitor.schedule, new Date(), { minIntervalMinutes });
+      } catch (err) {
+        suspend(monitor, err.message);
+        suspended++;
+      }
+    }
+    if (suspended) await persist().catch(() => {});
+    console.log(`[MONITOR] ${monitors.length} Monitore geladen`);
+  }
+
+  function suspend(monitor, message) {
+    console.warn(`[MONITOR] ${monitor.id} pausiert: ${message}`);
+    monitor.paused = true;
+    monitor.nextRunAt = null;
+    monitor.scheduleError = message;
+  }
+
+  const withState = (m) => ({ ...m, running: running.has(m.id) });
+  const list = () => monitors.map(withState);
+  const find = (id) => monitors.find(m => m.id === id);
+  const get = (id) => (find(id) ? withState(find(id)) : null);
+
+  // fields: { url, schedule, minScore?, alertOnNewCritical?, webhookUrl?, email?, options }
+  async function create(fields) {
+    if (monitors.length >= maxMonitors) throw monitorError(`Maximal ${maxMonitors} Monitore.`, 409);
+    if (typeof fields.schedule !== 'string' || !fields.schedule.trim()) {
+      throw monitorError('Bitte einen Zeitplan angeben (z. B. "daily", "weekly" oder "0 6 * * 1").');
+    }
+    const { cron, next } = scheduleFrom(fields.schedule, new Date(), { minIntervalMinutes });
+    if (fields.minScore != null && !(Number.isFinite(fields.minScore) && fields.minScore >= 0 && fields.minScore <= 100)) {
+      throw monitorError('minScore muss eine Zahl zwischen 0 und 100 sein.');
+    }
+    if (fields.email != null && (typeof fields.email !== 'string' || !EMAIL.test(fields.email))) {
+      throw monitorError('email ist keine gültige Adresse.');
+    }
+    if (!fields.webhookUrl && !fields.email) {
+      throw monitorError('Bitte webhookUrl und/oder email für Alarme angeben.');
+    }
+    const monitor = {
+      id: randomUUID(),
+      url: fields.url,
+      schedule: cron.expression,
+      options: fields.options || {},
+      minScore: fields.minScore ?? null,
+      alertOnNewCritical: fields.alertOnNewCritical !== false,
+      alert: { webhookUrl: fields.webhookUrl || null, email: fields.email || null },
+      paused: false,
+      createdAt: new Date().toISOString(),
+      nextRunAt: next.toISOString(),
+      lastRun: null
+    };
+    monitors.push(monitor);
+    await persist();
+    return withState(monitor);
+  }
+
+  // Beim Fortsetzen zählt der nächste reguläre Termin, verpasste werden nicht nachgeholt
+  async function setPaused(id, paused) {
+    const monitor = find(id);
+    if (!monitor) return null;
+    // Wirft INVALID_MONITOR, wenn der Zeitplan keinen Termin mehr hat; der Monitor bleibt dann pausiert
+    monitor.nextRunAt = paused ? null : scheduleFrom(monitor.schedule, new Date(), { minIntervalMinutes }).next.toISOString();
+    monitor.paused = paused;
+    if (!paused) delete monitor.scheduleError;
+    await persist();
+    return withState(monitor);
+  }
+
+  async function remove(id) {
+    const before = monitors.length;
+    monitors = monitors.filter(m => m.id !== id);
+    if (monitors.length === before) return false;
+    await persist();
+    return true;
+  }
+
+  function execute(monitor) {
+    running.add(monitor.id);
+    const startedAt = new Date().toISOString();
+    console.log(`[MONITOR] Starte ${monitor.id} für ${monitor.url}`);
+    Promise.resolve()
+      .then(() => runMonitor(monitor))
+      .catch(err => ({ status: 'failed', error: `${err.name} – ${err.message}`, code: err.code }))
+      .then(run => {
+        running.delete(monitor.id);
+        // Zwischenzeitlich gelöschte Monitore nicht wieder anlegen
+        if (!find(monitor.id)) return;
+        monitor.lastRun = { startedAt, finishedAt: new Date().toISOString(), ...run };
+        return persist();
+      })
+      .catch(() => {});
+  }
+
+  function tick() {
+    const now = new Date();
+    const due = monitors.filter(m => !m.paused && !running.has(m.id) && m.nextRunAt && Date.parse(m.nextRunAt) <= now.getTime());
+    if (!due.length) return;
+    for (const monitor of due) {
+      // Läuft im Timer: ein Zeitplan ohne weiteren Termin darf hier nicht werfen
+      try {
+        monitor.nextRunAt = scheduleFrom(monitor.schedule, now, { minIntervalMinutes }).next.toISOString();
+      } catch (err) {
+        suspend(monitor, err.message);
+      }
+      execute(monitor);
+    }
+    persist().catch(() => {});
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, TICK_MS);
+    timer.unref();
+    tick();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { init, list, get, create, setPaused, remove, start, stop };
+}
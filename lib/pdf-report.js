@@ -0,0 +1,298 @@
+import PDFDocument from 'pdfkit';
+import { DEFAULT_LANG, t } from './i18n.js';
+
+// ===== PDF-Report =====
+// Deckblatt mit Score, danach jede Issue-Gruppe (Beschreibung, Lösung, Anzahl,
+// Beispiel-Selektoren) und ein Index nach WCAG-Erfolgskriterium. Crawl- und
+// Batch-Ergebnisse bekommen je Seite einen eigenen Abschnitt.
+// Gespeicherte Screenshots (lib/screenshots.js) erscheinen als Ausschnitt beim
+// jeweiligen Problem und als Seitenübersicht mit nummerierten Markierungen.
+// Die PDF-Standardschriften kennen nur WinAnsi (Umlaute, „“, –, €); alles andere,
+// z. B. Emoji aus Übersetzungen, wird vor der Ausgabe ersetzt oder entfernt.
+// Beschriftungen kommen aus dem Katalog der Berichtssprache (`report.lang`, Abschnitt `pdf`).
+
+const MARGIN = 50;
+const COLORS = { text: '#1f2937', muted: '#6b7280', accent: '#667eea', line: '#e5e7eb' };
+const PRIORITIES = {
+  critical: { label: 'priorityCritical', color: '#dc2626' },
+  warning: { label: 'priorityWarning', color: '#f59e0b' },
+  low: { label: 'priorityLow', color: '#6b7280' }
+};
+const TYPES = { error: 'typeError', warning: 'typeWarning', notice: 'typeNotice' };
+const MAX_SAMPLES = 5;
+const SHOT_SIZE = { width: 150, height: 100 };
+
+const REPLACEMENTS = { '≥': '>=', '≤': '<=', '→': '->', '←': '<-', '✓': '', '✔': '', '✗': '', '×': 'x' };
+const REPLACEABLE = new RegExp(`[${Object.keys(REPLACEMENTS).join('')}]`, 'g');
+// Zeichen außerhalb von Latin-1 und den WinAnsi-Sonderzeichen (0x80–0x9F)
+const NOT_WIN_ANSI = /[^\u0000-ÿ€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ]/gu;
+
+const pdfText = (value) => String(value ?? '')
+  .replace(REPLACEABLE, (c) => REPLACEMENTS[c])
+  .replace(NOT_WIN_ANSI, '')
+  .replace(/\s{2,}/g, ' ')
+  .trim();
+
+const formatDate = (iso, lang) => new Date(iso || Date.now()).toLocaleString(lang, { timeZone: 'Europe/Berlin' });
+const pagesOf = (report) => (Array.isArray(report.pages) ? report.pages : [report]);
+
+// Kriterien numerisch sortieren ("1.4.10" nach "1.4.3")
+const compareCriteria = (a, b) => {
+  const pa = a.split('.').map(Number);
+  const pb = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) if (pa[i] !== pb[i]) return pa[i] - pb[i];
+  return 0;
+};
+
+function heading(doc, text, size = 16) {
+  doc.moveDown(0.5).font('Helvetica-Bold').fontSize(size).fillColor(COLORS.text).text(pdfText(text));
+  doc.moveDown(0.3);
+}
+
+function keyValue(doc, label, value) {
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.muted).text(`${pdfText(label)}: `, { continued: true })
+    .font('Helvetica').fillColor(COLORS.text).text(pdfText(value));
+}
+
+function coverPage(doc, report, tr) {
+  const pages = pagesOf(report);
+  const multi = Array.isArray(report.pages);
+  doc.font('Helvetica-Bold').fontSize(26).fillColor(COLORS.accent).text(pdfText(tr('title')), { align: 'left' });
+  doc.moveDown(0.5);
+  const subtitle = multi
+    ? tr(report.url ? 'pagesFrom' : 'pages', { count: pages.length, url: report.url })
+    : report.url || tr('htmlSnippet');
+  doc.font('Helvetica').fontSize(12).fillColor(COLORS.muted).text(pdfText(subtitle));
+  doc.moveDown(2);
+
+  if (report.score == null) {
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(PRIORITIES.critical.color).text(pdfText(tr('noScore')));
+    doc.font('Helvetica').fontSize(12).fillColor(COLORS.text).text(pdfText(report.error || report.assessment || tr('scanFailed')));
+  } else {
+    const color = report.gradeColor || COLORS.text;
+    doc.font('Helvetica-Bold').fontSize(64).fillColor(color).text(String(report.score), { continued: true })
+      .fontSize(24).fillColor(COLORS.muted).text(' / 100');
+    doc.font('Helvetica-Bold').fontSize(20).fillColor(color).text(pdfText(tr('grade', { grade: report.grade })));
+    doc.moveDown(0.3);
+    doc.font('Helvetica').fontSize(12).fillColor(COLORS.text).text(pdfText(report.assessment));
+  }
+  doc.moveDown(2);
+
+  keyValue(doc, tr('createdAt'), formatDate(report.timestamp, tr.lang));
+  if (report.standard) keyValue(doc, tr('standard'), report.standard);
+  if (report.runners) keyValue(doc, tr('runners'), report.runners.join(', '));
+  if (report.profile?.label) keyValue(doc, tr('profile'), report.profile.label);
+  if (report.counts) keyValue(doc, tr('findings'), tr('findingsValue', report.counts));
+  if (report.breakdown) {
+    const b = report.breakdown;
+    keyValue(doc, tr('penalties'), tr('penaltiesValue', { errors: b.errorPenalty, warnings: b.warningPenalty, notices: b.noticePenalty }));
+  }
+  if (report.summary && !multi) {
+    const { total, criticalCount, warningCount } = report.summary;
+    keyValue(doc, tr('issueTypes'), tr('issueTypesValue', { total, critical: criticalCount, warnings: warningCount }));
+  }
+  if (multi && report.summary) {
+    keyValue(doc, tr('pageCount'), tr('pageCountValue', { scanned: report.summary.pagesScanned, failed: report.summary.pagesFailed }));
+  }
+  if (report.suppressed?.count) keyValue(doc, tr('suppressed'), tr('suppressedValue', { count: report.suppressed.count }));
+}
+
+// Element-Ausschnitte nebeneinander, jeweils mit Nummer der Markierung
+function screenshotRow(doc, issue, images, tr) {
+  const shots = (issue.screenshots || []).filter(s => images.has(s.file));
+  if (!shots.length) return;
+  if (doc.y > doc.page.height - MARGIN - SHOT_SIZE.height - 20) doc.addPage();
+  const top = doc.y + 4;
+  shots.forEach((shot, i) => {
+    const x = MARGIN + i * (SHOT_SIZE.width + 12);
+    doc.image(images.get(shot.file), x, top, { fit: [SHOT_SIZE.width, SHOT_SIZE.height] });
+    doc.font('Helvetica').fontSize(7).fillColor(COLORS.muted)
+      .text(pdfText(tr('marker', { marker: shot.marker })), x, top + SHOT_SIZE.height + 2, { width: SHOT_SIZE.width, lineBreak: false });
+  });
+  doc.x = MARGIN;
+  doc.y = top + SHOT_SIZE.height + 14;
+}
+
+// Ganze Seite mit allen Markierungen, auf eine PDF-Seite skaliert
+function overviewPage(doc, page, images, tr) {
+  const fullPage = page.screenshots?.fullPage;
+  if (!fullPage || !images.has(fullPage.file)) return;
+  doc.addPage();
+  heading(doc, tr('overviewTitle'), 18);
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+    .text(pdfText([tr('overviewHint'), fullPage.truncated && tr('overviewTruncated')].filter(Boolean).join(' ')));
+  doc.moveDown(0.5);
+  const height = doc.page.height - MARGIN - doc.y - 10;
+  doc.image(images.get(fullPage.file), MARGIN, doc.y, { fit: [doc.page.width - 2 * MARGIN, height], align: 'center' });
+}
+
+function issueBlock(doc, issue, images, tr) {
+  const priority = PRIORITIES[issue.isPriority] || PRIORITIES.low;
+  const title = issue.translation?.title || issue.code;
+  if (doc.y > doc.page.height - MARGIN - 120) doc.addPage();
+
+  doc.font('Helvetica-Bold').fontSize(9).fillColor(priority.color)
+    .text(`${pdfText(tr(priority.label)).toUpperCase()}  ·  ${pdfText(TYPES[issue.type] ? tr(TYPES[issue.type]) : issue.type)}  ·  ${issue.count}x`);
+  doc.font('Helvetica-Bold').fontSize(12).fillColor(COLORS.text).text(pdfText(title));
+  doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted)
+    .text(pdfText([issue.code, issue.successCriterion && `WCAG ${issue.successCriterion}${issue.wcagLevel ? ` (${issue.wcagLevel})` : ''}`, issue.runners?.join(' + ')].filter(Boolean).join('  ·  ')));
+  doc.moveDown(0.3);
+  if (issue.translation?.description && issue.translation.description !== title) {
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.text).text(pdfText(issue.translation.description));
+  }
+  if (issue.translation?.fix) {
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.text).text(`${pdfText(tr('fix'))}: `, { continued: true })
+      .font('Helvetica').text(pdfText(issue.translation.fix));
+  }
+  const selectors = (issue.selectors || issue.samples || []).slice(0, MAX_SAMPLES);
+  if (selectors.length) {
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.muted).text(pdfText(tr('examples')));
+    selectors.forEach(s => doc.font('Courier').fontSize(8).fillColor(COLORS.text).text(pdfText(s), { indent: 10 }));
+    const more = (issue.selectors?.length || 0) - selectors.length;
+    if (more > 0) doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted).text(pdfText(tr('more', { count: more })), { indent: 10 });
+  }
+  screenshotRow(doc, issue, images, tr);
+  doc.moveDown(0.4);
+  const y = doc.y;
+  doc.moveTo(MARGIN, y).lineTo(doc.page.width - MARGIN, y).lineWidth(0.5).strokeColor(COLORS.line).stroke();
+  doc.moveDown(0.6);
+}
+
+function issuesSection(doc, page, { multi, images, tr }) {
+  doc.addPage();
+  heading(doc, multi ? page.url || tr('htmlSnippet') : tr('allIssues'), multi ? 14 : 18);
+  if (!page.success) {
+    doc.font('Helvetica').fontSize(10).fillColor(PRIORITIES.critical.color).text(pdfText(page.error || tr('pageFailed')));
+    return;
+  }
+  if (multi) {
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.muted)
+      .text(pdfText(tr('pageScore', { score: page.score, grade: page.grade, ...page.counts })));
+    doc.moveDown(0.5);
+  }
+  if (!page.issues?.length) {
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.text).text(pdfText(tr('noIssues')));
+    return;
+  }
+  page.issues.forEach(issue => issueBlock(doc, issue, images, tr));
+}
+
+// Erfolgskriterium → betroffene Issue-Gruppen (über alle Seiten)
+function criterionIndex(doc, pages, tr) {
+  const unmapped = tr('unmapped');
+  const byCriterion = new Map();
+  for (const page of pages.filter(p => p.success)) {
+    for (const issue of page.issues || []) {
+      const sc = issue.successCriterion || unmapped;
+      if (!byCriterion.has(sc)) byCriterion.set(sc, new Map());
+      const entries = byCriterion.get(sc);
+      const entry = entries.get(issue.code) || { title: issue.translation?.title || issue.code, count: 0, priority: issue.isPriority };
+      entry.count += issue.count;
+      entries.set(issue.code, entry);
+    }
+  }
+  if (!byCriterion.size) return;
+
+  doc.addPage();
+  heading(doc, tr('indexTitle'), 18);
+  const criteria = Array.from(byCriterion.keys())
+    .sort((a, b) => (a === unmapped) - (b === unmapped) || (a === unmapped ? 0 : compareCriteria(a, b)));
+  for (const sc of criteria) {
+    if (doc.y > doc.page.height - MARGIN - 60) doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.text).text(sc === unmapped ? pdfText(sc) : `WCAG ${sc}`);
+    for (const entry of byCriterion.get(sc).values()) {
+      doc.font('Helvetica').fontSize(9).fillColor((PRIORITIES[entry.priority] || PRIORITIES.low).color).text('• ', { continued: true, indent: 10 })
+        .fillColor(COLORS.text).text(`${pdfText(entry.title)} (${entry.count}x)`);
+    }
+    doc.moveDown(0.4);
+  }
+}
+
+function suppressedSection(doc, pages, tr) {
+  const suppressed = pages.flatMap(p => (p.suppressed?.issues || []).map(issue => ({ page: p, issue })));
+  if (!suppressed.length) return;
+  doc.addPage();
+  heading(doc, tr('suppressedTitle'), 18);
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+    .text(pdfText(tr('suppressedHint')));
+  doc.moveDown(0.5);
+  for (const { issue } of suppressed) {
+    if (doc.y > doc.page.height - MARGIN - 60) doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.text).text(`${pdfText(issue.translation?.title || issue.code)} (${issue.count}x)`);
+    for (const rule of issue.rules || []) {
+      doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+        .text(pdfText(tr('justification', { text: rule.justification }) +
+          (rule.expiresAt ? ` (${tr('until', { date: formatDate(rule.expiresAt, tr.lang) })})` : '')), { indent: 10 });
+    }
+    doc.moveDown(0.3);
+  }
+}
+
+// Kopf- und Fußzeile auf allen Seiten außer dem Deckblatt
+function pageFooters(doc, report, tr) {
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start + 1; i < start + count; i++) {
+    doc.switchToPage(i);
+    // Ohne unteren Rand, sonst legt pdfkit für die Fußzeile eine neue Seite an
+    doc.page.margins.bottom = 0;
+    const bottom = doc.page.height - MARGIN + 15;
+    doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted);
+    doc.text(pdfText(report.url || tr('title')), MARGIN, bottom, { width: doc.page.width - 2 * MARGIN - 80, lineBreak: false, height: 10, ellipsis: true });
+    doc.text(pdfText(tr('pageOf', { page: i + 1, count })), doc.page.width - MARGIN - 80, bottom, { width: 80, align: 'right', lineBreak: false });
+  }
+}
+
+// Screenshots vorab laden, pdfkit arbeitet synchron; fehlende Dateien werden übersprungen
+async function loadImages(report, loadScreenshot) {
+  const images = new Map();
+  if (!loadScreenshot) return images;
+  const files = pagesOf(report).flatMap(page => [
+    page.screenshots?.fullPage?.file,
+    ...(page.issues || []).flatMap(issue => (issue.screenshots || []).map(s => s.file))
+  ]).filter(Boolean);
+  for (const file of new Set(files)) {
+    try {
+      const data = await loadScreenshot(file);
+      if (data) images.set(file, data);
+    } catch {
+      // Bild fehlt (z. B. bereits aufgeräumt) – Report ohne dieses Bild
+    }
+  }
+  return images;
+}
+
+// Liefert das PDF als Buffer; `report` ist ein Scan-, Crawl- oder Batch-Ergebnis.
+// `loadScreenshot(file)` liefert die Bilddaten zu einem Screenshot-Verweis (oder null).
+export async function renderPdf(report, { loadScreenshot } = {}) {
+  const images = await loadImages(report, loadScreenshot);
+  const lang = report.lang || DEFAULT_LANG;
+  const tr = Object.assign((key, vars) => t(lang, `pdf.${key}`, vars), { lang });
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: MARGIN,
+      bufferPages: true,
+      info: { Title: pdfText(`${tr('title')} ${report.url || ''}`), Creator: 'a11y-check' }
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      const pages = pagesOf(report);
+      const multi = Array.isArray(report.pages);
+      coverPage(doc, report, tr);
+      if (report.success !== false) {
+        if (!multi) overviewPage(doc, report, images, tr);
+        pages.forEach(page => issuesSection(doc, page, { multi, images, tr }));
+        criterionIndex(doc, pages, tr);
+        suppressedSection(doc, pages, tr);
+      }
+      pageFooters(doc, report, tr);
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
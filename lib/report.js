@@ -0,0 +1,415 @@
+import { catalogEntry, stripStandard } from './catalog.js';
+import { DEFAULT_LANG, t } from './i18n.js';
+
+// ===== Report-Pipeline =====
+// Von den Roh-Issues (pa11y) bis zum fertigen Bericht: Runner zusammenführen,
+// übersetzen, priorisieren, bewerten. Server und CLI (bin/a11y-check.js) nutzen
+// dieselben Funktionen, damit CI-Läufe exakt wie die API bewerten.
+
+// ===== WCAG-Standards =====
+export const STANDARDS = {
+  WCAG2A: 'WCAG 2.1 A (via pa11y WCAG2A)',
+  WCAG2AA: 'WCAG 2.1 AA (via pa11y WCAG2AA)',
+  WCAG2AAA: 'WCAG 2.1 AAA (via pa11y WCAG2AAA)'
+};
+export const DEFAULT_STANDARD = 'WCAG2AA';
+
+// "A" | "AA" | "AAA" oder "WCAG2A…"; null bei ungültigem Wert
+export function parseStandard(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_STANDARD;
+  const code = String(value).trim().toUpperCase().replace(/^(WCAG2)?/, 'WCAG2');
+  return STANDARDS[code] ? code : null;
+}
+export const INVALID_STANDARD_ERROR = 'Ungültiger Standard. Erlaubt sind A, AA oder AAA.';
+
+// Codes ohne Standard-Präfix (lib/catalog.js), hier für Server und CLI mit exportiert
+export { stripStandard };
+
+// ===== Runner (HTML_CodeSniffer / axe-core) =====
+export const RUNNERS = ['htmlcs', 'axe'];
+export const DEFAULT_RUNNERS = ['htmlcs'];
+
+// "htmlcs" | "axe" | "both" oder eine Liste davon; null bei ungültigem Wert
+export function parseRunners(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_RUNNERS;
+  if (value === 'both') return RUNNERS;
+  const list = Array.isArray(value) ? value : [value];
+  if (!list.length || !list.every(r => RUNNERS.includes(r))) return null;
+  return RUNNERS.filter(r => list.includes(r));
+}
+export const INVALID_RUNNERS_ERROR = 'Ungültige Runner. Erlaubt sind "htmlcs", "axe" oder beide.';
+
+// axe-Regeln mit eindeutigem WCAG-Erfolgskriterium, soweit nicht im Katalog; aria-* fällt auf 4.1.2 zurück
+const AXE_RULE_CRITERIA = {
+  'area-alt': '1_1_1', 'image-alt': '1_1_1', 'input-image-alt': '1_1_1', 'object-alt': '1_1_1',
+  'role-img-alt': '1_1_1', 'svg-img-alt': '1_1_1',
+  'video-caption': '1_2_2',
+  'definition-list': '1_3_1', 'dlitem': '1_3_1', 'list': '1_3_1', 'listitem': '1_3_1',
+  'td-headers-attr': '1_3_1', 'th-has-data-cells': '1_3_1',
+  'autocomplete-valid': '1_3_5',
+  'link-in-text-block': '1_4_1',
+  'color-contrast': '1_4_3',
+  'meta-viewport': '1_4_4',
+  'avoid-inline-spacing': '1_4_12',
+  'scrollable-region-focusable': '2_1_1',
+  'meta-refresh': '2_2_1',
+  'blink': '2_2_2', 'marquee': '2_2_2',
+  'bypass': '2_4_1',
+  'document-title': '2_4_2',
+  'link-name': '2_4_4',
+  'html-has-lang': '3_1_1', 'html-lang-valid': '3_1_1', 'html-xml-lang-mismatch': '3_1_1',
+  'valid-lang': '3_1_2',
+  'duplicate-id': '4_1_1', 'duplicate-id-active': '4_1_1', 'duplicate-id-aria': '4_1_1',
+  'button-name': '4_1_2', 'frame-title': '4_1_2', 'input-button-name': '4_1_2', 'label': '4_1_2',
+  'nested-interactive': '4_1_2', 'select-name': '4_1_2'
+};
+
+// Erfolgskriterium als "1.4.3": aus dem Katalog, sonst aus dem HTMLCS-Code bzw. der axe-Regel
+function successCriterion(issue) {
+  const code = issue.code || '';
+  const entry = catalogEntry(code);
+  if (entry) return entry.criterion;
+  const sc = issue.runner === 'axe'
+    ? AXE_RULE_CRITERIA[code] || (code.startsWith('aria-') ? '4_1_2' : null)
+    : /Guideline\d_\d+\.(\d_\d+_\d+)/.exec(code)?.[1];
+  return sc ? sc.replace(/_/g, '.') : null;
+}
+
+// Meldet axe dasselbe Element zum selben Kriterium wie HTMLCS, bleibt nur der
+// HTMLCS-Eintrag (mit runners: ['htmlcs', 'axe']) – so zählt der Score es einmal.
+export function mergeRunnerIssues(issues) {
+  const byTarget = new Map();
+  const merged = [];
+  for (const issue of issues.filter(i => i.runner !== 'axe')) {
+    const entry = { ...issue, runners: [issue.runner || 'htmlcs'] };
+    const sc = successCriterion(issue);
+    const key = `${sc}|${issue.selector}`;
+    if (sc && issue.selector && !byTarget.has(key)) byTarget.set(key, entry);
+    merged.push(entry);
+  }
+  let duplicates = 0;
+  for (const issue of issues.filter(i => i.runner === 'axe')) {
+    const sc = successCriterion(issue);
+    const match = sc && issue.selector && byTarget.get(`${sc}|${issue.selector}`);
+    if (match) {
+      if (!match.runners.includes('axe')) match.runners.push('axe');
+      match.axeRules = [...new Set([...(match.axeRules || []), issue.code])];
+      duplicates++;
+    } else {
+      merged.push({ ...issue, runners: ['axe'] });
+    }
+  }
+  return { issues: merged, duplicates };
+}
+
+// ===== Report-Verarbeitung (dedupliziert, übersetzt, priorisiert) =====
+// Titel, Beschreibung, Lösung und WCAG-Stufe kommen aus dem Katalog (lib/catalog.js) in der Sprache `lang`;
+// Codes ohne Eintrag behalten die Texte von axe bzw. die Meldung von pa11y
+export function processAndCleanIssues(issues, { lang = DEFAULT_LANG } = {}) {
+  const criticalPatterns = [
+    'H25.2',        // Page title
+    '1_4_3.G18.Fail', // Color contrast (AA)
+    'F77',          // Duplicate IDs
+    'H32.2',        // Form submit
+    '2_4_4.H77',    // Link text
+    '3_3_1',        // Form errors
+    '3_3_2',        // Required fields
+    '4_1_1'         // Valid HTML
+  ];
+  const warningPatterns = ['H67.1', 'G149', 'G141', '1_4_4', '2_4_1', '2_4_7'];
+  // AAA-Kriterien teilen Techniken mit AA (G18, H77); sie bleiben Warnungen und werden zuerst geprüft
+  const aaaWarningPatterns = [
+    '1_4_6',        // Enhanced contrast (AAA)
+    '2_4_9'         // Link purpose, link only (AAA)
+  ];
+  // axe-Regeln (Regel-IDs statt HTMLCS-Codes)
+  const criticalAxeRules = [
+    'document-title', 'color-contrast', 'duplicate-id', 'duplicate-id-active', 'duplicate-id-aria',
+    'link-name', 'button-name', 'label', 'image-alt', 'html-has-lang'
+  ];
+
+  const grouped = {};
+  for (const issue of issues) {
+    const key = issue.code || 'unknown';
+    if (!grouped[key]) {
+      const entry = catalogEntry(key, lang);
+      grouped[key] = {
+        code: key,
+        type: issue.type,
+        count: 0,
+        messages: new Set(),
+        selectors: new Set(),
+        occurrences: [],
+        runners: new Set(),
+        successCriterion: successCriterion(issue),
+        wcagLevel: entry?.level ?? null,
+        isPriority: 'low'
+      };
+      const axe = issue.runner === 'axe' ? issue.runnerExtras || {} : null;
+      if (axe) {
+        if (criticalAxeRules.includes(key) || axe.impact === 'critical') grouped[key].isPriority = 'critical';
+        else if (axe.impact === 'serious') grouped[key].isPriority = 'warning';
+        grouped[key].helpUrl = axe.helpUrl;
+      } else if (aaaWarningPatterns.some(p => key.includes(p))) grouped[key].isPriority = 'warning';
+      else if (criticalPatterns.some(p => key.includes(p))) grouped[key].isPriority = 'critical';
+      else if (warningPatterns.some(p => key.includes(p))) grouped[key].isPriority = 'warning';
+
+      const raw = issue.message?.trim() || stripStandard(key);
+      grouped[key].translation = {
+        title: entry?.title || axe?.help || raw,
+        description: entry?.description || axe?.description || raw,
+        fix: entry?.fix || (axe?.helpUrl ? t(lang, 'report.seeUrl', { url: axe.helpUrl }) : t(lang, 'report.seeWcag'))
+      };
+    }
+    (issue.runners || [issue.runner || 'htmlcs']).forEach(r => grouped[key].runners.add(r));
+    grouped[key].count++;
+    if (issue.message) grouped[key].messages.add(issue.message.trim());
+    if (issue.selector) grouped[key].selectors.add(issue.selector);
+    // Jede Fundstelle einzeln, mit dem HTML-Ausschnitt aus pa11y (`context`)
+    grouped[key].occurrences.push({
+      selector: issue.selector || null,
+      context: issue.context || null,
+      message: issue.message?.trim() || null,
+      runners: issue.runners || [issue.runner || 'htmlcs']
+    });
+  }
+
+  return Object.values(grouped)
+    .map(g => ({
+      ...g,
+      messages: Array.from(g.messages),
+      selectors: Array.from(g.selectors),
+      runners: Array.from(g.runners),
+      samples: Array.from(g.selectors).slice(0, 3)
+    }))
+    .sort((a, b) => {
+      const order = { critical: 0, warning: 1, low: 2 };
+      const prio = order[a.isPriority] - order[b.isPriority];
+      return prio !== 0 ? prio : b.count - a.count;
+    });
+}
+
+// ===== Fundstellen seitenweise =====
+// Issue-Gruppen halten alle Fundstellen. API-Antworten zeigen davon nur die erste
+// Seite ({ total, offset, limit, items, next }); `link(code, { suppressed })` liefert
+// die URL für den Rest. Ohne `link` gibt es keinen Rest zum Nachladen: dann
+// enthält die Antwort alle Fundstellen (Crawl, Batch, nicht gespeicherte Scans).
+export function sliceOccurrences(occurrences, { offset = 0, limit }) {
+  return { total: occurrences.length, offset, limit, items: occurrences.slice(offset, offset + limit) };
+}
+
+export function pageOccurrences(report, { limit, link = null } = {}) {
+  const page = (groups, suppressed = false) => groups.map(group => {
+    if (!Array.isArray(group.occurrences)) return group;
+    const size = link ? limit : group.occurrences.length;
+    const more = group.occurrences.length > size;
+    return {
+      ...group,
+      occurrences: { ...sliceOccurrences(group.occurrences, { limit: size }), next: more ? link(group.code, { suppressed }) : null }
+    };
+  });
+  // Nachladen gibt es nur für die Hauptansicht; Zustände behalten alle Fundstellen
+  const nested = (variant) => pageOccurrences(variant);
+  return {
+    ...report,
+    ...(report.issues && { issues: page(report.issues) }),
+    ...(report.suppressed && { suppressed: { ...report.suppressed, issues: page(report.suppressed.issues, true) } }),
+    ...(report.initialState && { initialState: nested(report.initialState) }),
+    ...(report.states && { states: report.states.map(nested) }),
+    ...(report.comparison && {
+      comparison: {
+        ...report.comparison,
+        profiles: report.comparison.profiles.map(p => ({ ...nested(p), ...(p.onlyHere && { onlyHere: page(p.onlyHere) }) }))
+      }
+    }),
+    ...(report.pages && { pages: report.pages.map(nested) })
+  };
+}
+
+// Score
+export function calculateDetailedScore({ errors, warnings, notices }, { lang = DEFAULT_LANG } = {}) {
+  const errorPenalty = Math.min(60, errors * 10);
+  const warningPenalty = Math.min(25, warnings * 3);
+  const noticePenalty = Math.min(15, notices * 1);
+  const totalPenalty = errorPenalty + warningPenalty + noticePenalty;
+  const score = Math.max(0, 100 - totalPenalty);
+
+  return {
+    score, ...getGrade(score),
+    breakdown: { errorPenalty, warningPenalty, noticePenalty, totalPenalty },
+    assessment: getScoreAssessment(score, lang)
+  };
+}
+export function getGrade(score) {
+  if (score >= 95) return { grade: 'A+', gradeColor: '#059669' };
+  if (score >= 90) return { grade: 'A', gradeColor: '#10b981' };
+  if (score >= 80) return { grade: 'B', gradeColor: '#84cc16' };
+  if (score >= 70) return { grade: 'C', gradeColor: '#eab308' };
+  if (score >= 60) return { grade: 'D', gradeColor: '#f59e0b' };
+  return { grade: 'F', gradeColor: '#dc2626' };
+}
+export function getScoreAssessment(score, lang = DEFAULT_LANG) {
+  if (score >= 90) return t(lang, 'report.assessmentExcellent');
+  if (score >= 80) return t(lang, 'report.assessmentGood');
+  if (score >= 70) return t(lang, 'report.assessmentSatisfactory');
+  if (score >= 60) return t(lang, 'report.assessmentSufficient');
+  if (score >= 40) return t(lang, 'report.assessmentPoor');
+  return t(lang, 'report.assessmentCritical');
+}
+
+// Zusammenfassung
+export function generateSummary(processedIssues, { lang = DEFAULT_LANG } = {}) {
+  const criticalIssues = processedIssues.filter(i => i.isPriority === 'critical');
+  const warningIssues = processedIssues.filter(i => i.isPriority === 'warning');
+  return {
+    total: processedIssues.length,
+    criticalCount: criticalIssues.length,
+    warningCount: warningIssues.length,
+    topCritical: criticalIssues.slice(0, 3).map(i => ({
+      title: i.translation?.title || stripStandard(i.code),
+      count: i.count,
+      fix: i.translation?.fix || t(lang, 'report.seeWcag')
+    })),
+    quickWins: getQuickWins(criticalIssues)
+  };
+}
+function getQuickWins(criticalIssues) {
+  const quickWinCodes = ['H25.2', 'F77', 'H32.2'];
+  return criticalIssues
+    .filter(issue => quickWinCodes.some(code => issue.code.includes(code)))
+    .map(issue => issue.translation?.title || issue.code)
+    .slice(0, 3);
+}
+
+// Zusammenfassung über mehrere Seiten (Crawl, Batch):
+// Durchschnitts-Score und Codes nach Anzahl betroffener Seiten
+export function aggregateSiteResults(pages, { lang = DEFAULT_LANG } = {}) {
+  const scanned = pages.filter(p => p.success);
+  const score = scanned.length
+    ? Math.round(scanned.reduce((sum, p) => sum + p.score, 0) / scanned.length)
+    : null;
+
+  const byCode = {};
+  for (const page of scanned) {
+    for (const issue of page.issues) {
+      if (!byCode[issue.code]) {
+        byCode[issue.code] = {
+          code: issue.code,
+          title: issue.translation?.title || issue.code,
+          fix: issue.translation?.fix,
+          isPriority: issue.isPriority,
+          pagesAffected: 0,
+          totalCount: 0,
+          pages: []
+        };
+      }
+      const entry = byCode[issue.code];
+      entry.pagesAffected++;
+      entry.totalCount += issue.count;
+      if (entry.pages.length < 10) entry.pages.push(page.url);
+    }
+  }
+  const issues = Object.values(byCode).sort((a, b) =>
+    b.pagesAffected - a.pagesAffected || b.totalCount - a.totalCount);
+
+  const counts = scanned.reduce((acc, p) => {
+    acc.errors += p.counts.errors;
+    acc.warnings += p.counts.warnings;
+    acc.notices += p.counts.notices;
+    return acc;
+  }, { errors: 0, warnings: 0, notices: 0 });
+
+  return {
+    score,
+    ...(score === null ? { grade: null, gradeColor: null } : getGrade(score)),
+    assessment: score === null ? t(lang, 'report.noPagesScanned') : getScoreAssessment(score, lang),
+    counts,
+    summary: {
+      pagesScanned: scanned.length,
+      pagesFailed: pages.length - scanned.length,
+      worstPages: [...scanned].sort((a, b) => a.score - b.score).slice(0, 5)
+        .map(p => ({ url: p.url, score: p.score, grade: p.grade })),
+      mostWidespread: issues.slice(0, 10).map(({ pages: _pages, ...rest }) => rest)
+    },
+    issues
+  };
+}
+
+// Unterdrückte Issues je Code gruppiert, mit den greifenden Regeln (Audit-Trail)
+function describeSuppressed(issues, lang) {
+  const groups = processAndCleanIssues(issues, { lang }).map(group => {
+    const rules = new Map();
+    issues.filter(i => (i.code || 'unknown') === group.code)
+      .forEach(({ suppressedBy: r }) => rules.set(r.id, { id: r.id, selector: r.selector, justification: r.justification, expiresAt: r.expiresAt }));
+    return { ...group, status: 'unterdrückt', rules: Array.from(rules.values()) };
+  });
+  return { count: issues.length, issues: groups };
+}
+
+// Zählt, bewertet und bereitet Roh-Issues auf (Teil jeder Scan-Antwort).
+// `suppress(issue)` liefert die passende Unterdrückungsregel; solche Issues
+// zählen nicht für Score und Zählung, stehen aber unter `suppressed`.
+export function buildReport(rawIssues, { duplicates = 0, suppress = null, lang = DEFAULT_LANG, onProgress = () => {} } = {}) {
+  const issues = [];
+  const suppressedIssues = [];
+  for (const issue of rawIssues) {
+    const rule = suppress?.(issue);
+    if (rule) suppressedIssues.push({ ...issue, suppressedBy: rule });
+    else issues.push(issue);
+  }
+
+  const counts = issues.reduce((acc, i) => {
+    if (i.type === 'error') acc.errors++;
+    else if (i.type === 'warning') acc.warnings++;
+    else acc.notices++;
+    return acc;
+  }, { errors: 0, warnings: 0, notices: 0 });
+  onProgress('auditFinished');
+
+  const processedIssues = processAndCleanIssues(issues, { lang });
+  const summary = generateSummary(processedIssues, { lang });
+  onProgress('issuesProcessed');
+  const scoring = calculateDetailedScore(counts, { lang });
+  onProgress('scored');
+
+  return {
+    counts,
+    ...scoring,
+    issues: processedIssues,
+    ...(suppress && { suppressed: describeSuppressed(suppressedIssues, lang) }),
+    summary,
+    meta: {
+      totalIssuesFound: issues.length,
+      mergedRunnerDuplicates: duplicates,
+      uniqueIssueTypes: processedIssues.length,
+      worstOffenders: processedIssues.slice(0, 5).map(i =>
+        i.translation?.title || stripStandard(i.code)
+      )
+    }
+  };
+}
+
+// ===== Varianten zusammenführen =====
+// Varianten (Zustände nach Interaktionen, Viewport-Profile) werden gegen eine
+// Basis geprüft. Der Gesamtbericht zählt Issues, die schon in der Basis
+// auftreten (gleicher Code und Selektor), nur einmal.
+const issueKey = (issue) => `${issue.code}|${issue.selector}`;
+
+// add(issues) liefert die Issues, die in der Basis fehlen; `merged` ist die Vereinigung
+export function createIssueMerger(baseline) {
+  const inBaseline = new Set(baseline.map(issueKey));
+  const seen = new Set(inBaseline);
+  const merged = [...baseline];
+  return {
+    merged,
+    add(issues) {
+      const fresh = issues.filter(issue => !inBaseline.has(issueKey(issue)));
+      for (const issue of fresh) {
+        if (seen.has(issueKey(issue))) continue;
+        seen.add(issueKey(issue));
+        merged.push(issue);
+      }
+      return fresh;
+    }
+  };
+}
@@ -0,0 +1,122 @@
+import { stepsToActions } from './actions.js';
+
+// ===== Geschützte Seiten: Header, Cookies und Login-Schritte =====
+// Zugangsdaten bleiben im Speicher des Jobs: sie landen weder in Logs noch
+// in Job-Metadaten oder Antworten. Header werden nur an den Ursprung des
+// Ziels (bzw. der Login-Seite) gesendet, nicht an Drittanbieter.
+
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9a-z-]+$/i;
+const FORBIDDEN_HEADERS = new Set(['host', 'content-length', 'connection', 'transfer-encoding', 'cookie']);
+const MAX_HEADERS = 20;
+const MAX_COOKIES = 50;
+
+function authError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_AUTH';
+  err.status = 400;
+  return err;
+}
+
+const isPlainObject = (v) => v != null && typeof v === 'object' && !Array.isArray(v);
+const isSingleLine = (v) => typeof v === 'string' && !/[\r\n]/.test(v);
+
+function parseHeaders(raw) {
+  if (raw == null) return {};
+  if (!isPlainObject(raw)) throw authError('auth.headers muss ein Objekt aus Name/Wert-Paaren sein.');
+  const entries = Object.entries(raw);
+  if (entries.length > MAX_HEADERS) throw authError(`Maximal ${MAX_HEADERS} Header erlaubt.`);
+  const headers = {};
+  for (const [name, value] of entries) {
+    if (!HEADER_NAME.test(name) || FORBIDDEN_HEADERS.has(name.toLowerCase())) {
+      throw authError(`Header "${name}" ist nicht erlaubt. Cookies bitte über auth.cookies angeben.`);
+    }
+    if (!isSingleLine(value)) throw authError(`Header "${name}" braucht einen einzeiligen Text als Wert.`);
+    headers[name.toLowerCase()] = value;
+  }
+  return headers;
+}
+
+// Cookies gelten für den Host des Ziels; `domain` darf ihn nur erweitern (z. B. „.example.com“)
+function parseCookies(raw, targetUrl) {
+  if (raw == null) return [];
+  if (!Array.isArray(raw)) throw authError('auth.cookies muss eine Liste sein.');
+  if (raw.length > MAX_COOKIES) throw authError(`Maximal ${MAX_COOKIES} Cookies erlaubt.`);
+  const host = new URL(targetUrl).hostname;
+  return raw.map((c, i) => {
+    if (!isPlainObject(c) || !c.name || !isSingleLine(c.name) || !isSingleLine(c.value)) {
+      throw authError(`Cookie ${i + 1}: name und value müssen Texte sein.`);
+    }
+    const cookie = { name: c.name, value: c.value, path: typeof c.path === 'string' ? c.path : '/' };
+    if (c.domain != null) {
+      const domain = String(c.domain).toLowerCase();
+      if (host !== domain.replace(/^\./, '') && !host.endsWith(domain.startsWith('.') ? domain : `.${domain}`)) {
+        throw authError(`Cookie "${c.name}": Domain ${domain} passt nicht zu ${host}.`);
+      }
+      cookie.domain = domain;
+    } else {
+      cookie.url = targetUrl;
+    }
+    if (c.secure != null) cookie.secure = !!c.secure;
+    if (c.httpOnly != null) cookie.httpOnly = !!c.httpOnly;
+    return cookie;
+  });
+}
+
+// Ergebnis: { headers, headerOrigins, cookies, loginUrl, actions, secrets, summary } oder null.
+// `isValidUrl`/`normalizeUrl` kommen vom Aufrufer, damit die URL-Regeln an einer Stelle bleiben.
+export function parseAuth(raw, targetUrl, { isValidUrl, normalizeUrl = (u) => u }) {
+  if (raw == null) return null;
+  if (!isPlainObject(raw)) throw authError('auth muss ein Objekt sein.');
+
+  const headers = parseHeaders(raw.headers);
+  const cookies = parseCookies(raw.cookies, targetUrl);
+
+  let loginUrl = null;
+  let actions = [];
+  let steps = [];
+  if (raw.login != null) {
+    if (!isPlainObject(raw.login)) throw authError('auth.login muss ein Objekt mit steps sein.');
+    if (raw.login.url != null) {
+      if (!isValidUrl(raw.login.url)) throw authError('Die Login-URL muss mit http(s) beginnen.');
+      loginUrl = normalizeUrl(raw.login.url);
+    }
+    steps = raw.login.steps;
+    if (!Array.isArray(steps) || !steps.length) throw authError('auth.login.steps darf nicht leer sein.');
+    actions = stepsToActions(steps);
+    // Nach dem Login auf einer eigenen Seite zurück zum eigentlichen Ziel
+    if (loginUrl && loginUrl !== targetUrl) actions.push(`navigate to ${targetUrl}`);
+  }
+
+  const secrets = [
+    ...Object.values(headers),
+    ...cookies.map(c => c.value),
+    ...steps.filter(s => s.action === 'fill').map(s => s.value)
+  ].filter(Boolean);
+
+  const headerOrigins = [new URL(targetUrl).origin];
+  if (loginUrl) headerOrigins.push(new URL(loginUrl).origin);
+
+  return {
+    headers,
+    headerOrigins,
+    cookies,
+    loginUrl,
+    actions,
+    secrets,
+    // Für Antworten: nur Namen und Anzahl, keine Werte
+    summary: {
+      headers: Object.keys(headers),
+      cookies: cookies.map(c => c.name),
+      loginSteps: steps.length
+    }
+  };
+}
+
+// Ersetzt Zugangsdaten in Texten (Fehlermeldungen, pa11y-Logs) durch „***“
+export function redactSecrets(text, secrets = []) {
+  let out = String(text);
+  for (const secret of [...secrets].sort((a, b) => b.length - a.length)) {
+    out = out.split(secret).join('***');
+  }
+  return out;
+}
@@ -0,0 +1,79 @@
+// ===== Vergleich zweier Scan-Berichte (Vorher/Nachher) =====
+// Fundstellen werden über Code + Selektor verglichen. Eingabe sind die
+// aufbereiteten Berichte (`issues` aus processAndCleanIssues, `score`, `grade`).
+
+// Ältere Berichte enthalten nur die ersten Selektoren als `samples`
+const selectorsOf = (group) =>
+  (Array.isArray(group.selectors) ? group.selectors : group.samples) || [];
+
+function indexIssues(report) {
+  const byKey = new Map();
+  const byCode = new Map();
+  for (const group of report.issues || []) {
+    byCode.set(group.code, group);
+    const selectors = selectorsOf(group);
+    for (const selector of selectors.length ? selectors : ['']) {
+      byKey.set(`${group.code}|${selector}`, { group, selector });
+    }
+  }
+  return { byKey, byCode };
+}
+
+const describe = (group) => ({
+  code: group.code,
+  title: group.translation?.title || group.code,
+  type: group.type,
+  isPriority: group.isPriority,
+  successCriterion: group.successCriterion ?? null
+});
+
+// Fundstellen je Code bündeln: [{ code, title, …, selectors: [...] }]
+function groupByCode(entries) {
+  const out = new Map();
+  for (const { group, selector } of entries) {
+    if (!out.has(group.code)) out.set(group.code, { ...describe(group), selectors: [] });
+    if (selector) out.get(group.code).selectors.push(selector);
+  }
+  return Array.from(out.values());
+}
+
+export function diffReports(before, after) {
+  const a = indexIssues(before);
+  const b = indexIssues(after);
+
+  const fixed = [];
+  const unchanged = [];
+  for (const [key, entry] of a.byKey) (b.byKey.has(key) ? unchanged : fixed).push(entry);
+  const added = Array.from(b.byKey).filter(([key]) => !a.byKey.has(key)).map(([, entry]) => entry);
+
+  const countChanges = [];
+  for (const code of new Set([...a.byCode.keys(), ...b.byCode.keys()])) {
+    const countBefore = a.byCode.get(code)?.count ?? 0;
+    const countAfter = b.byCode.get(code)?.count ?? 0;
+    if (countBefore === countAfter) continue;
+    countChanges.push({
+      ...describe(b.byCode.get(code) || a.byCode.get(code)),
+      before: countBefore,
+      after: countAfter,
+      delta: countAfter - countBefore
+    });
+  }
+  countChanges.sort((x, y) => x.delta - y.delta);
+
+  const scoreBefore = before.score ?? null;
+  const scoreAfter = after.score ?? null;
+  return {
+    score: {
+      before: scoreBefore,
+      after: scoreAfter,
+      delta: scoreBefore != null && scoreAfter != null ? scoreAfter - scoreBefore : null,
+      gradeBefore: before.grade ?? null,
+      gradeAfter: after.grade ?? null
+    },
+    totals: { new: added.length, fixed: fixed.length, unchanged: unchanged.length },
+    new: groupByCode(added),
+    fixed: groupByCode(fixed),
+    unchanged: groupByCode(unchanged),
+    countChanges
+  };
+}
@@ -0,0 +1,140 @@
+import { randomUUID } from 'crypto';
+import { mkdir, readFile, readdir, rename, rm, unlink, writeFile } from 'fs/promises';
+import { join } from 'path';
+
+// Dateinamen zugehöriger Dateien (z. B. "element-3.jpg"); schließt Pfade aus
+const ASSET_NAME = /^[a-z0-9-]+\.jpg$/;
+
+// ===== Scan-Verlauf als JSON-Dateien =====
+// Jeder Bericht liegt in `<dir>/<id>.json`; `index.json` hält die Kopfdaten
+// (URL, Domain, Zeitpunkt, Score) für Listen ohne jede Datei zu lesen.
+// Zugehörige Dateien (Screenshots) liegen in `<dir>/<id>/`. Mit `unlisted` gespeicherte
+// Scans (z. B. mit Zugangsdaten) fehlen in list() und sind nur über ihre ID erreichbar.
+// Ältere Einträge als `retentionMs` bzw. über `maxEntries` hinaus werden gelöscht.
+export function createScanStore({ dir, retentionMs = 90 * 24 * 60 * 60 * 1000, maxEntries = 5000 }) {
+  const index = new Map();
+  const indexFile = join(dir, 'index.json');
+  const fileFor = (id) => join(dir, `${id}.json`);
+  const assetsFor = (id) => join(dir, id);
+  // Schreibvorgänge auf index.json nacheinander, damit keiner einen anderen überholt
+  let writes = Promise.resolve();
+
+  async function writeJson(file, data) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify(data));
+    await rename(tmp, file);
+  }
+
+  function persistIndex() {
+    writes = writes
+      .then(() => writeJson(indexFile, Array.from(index.values())))
+      .catch(err => console.error('[SCAN-STORE] Index konnte nicht gespeichert werden:', err.message));
+    return writes;
+  }
+
+  // Fehlt index.json oder ist sie beschädigt, wird sie aus den Berichten neu aufgebaut
+  async function rebuildIndex() {
+    const files = (await readdir(dir)).filter(f => /^[0-9a-f-]{36}\.json$/.test(f));
+    for (const f of files) {
+      try {
+        const { report, ...entry } = JSON.parse(await readFile(join(dir, f), 'utf8'));
+        index.set(entry.id, entry);
+      } catch {
+        console.warn(`[SCAN-STORE] Überspringe unlesbaren Bericht ${f}`);
+      }
+    }
+    await persistIndex();
+  }
+
+  async function init() {
+    await mkdir(dir, { recursive: true });
+    try {
+      for (const entry of JSON.parse(await readFile(indexFile, 'utf8'))) index.set(entry.id, entry);
+    } catch {
+      await rebuildIndex();
+    }
+    await prune();
+    const timer = setInterval(() => prune(), 60 * 60 * 1000);
+    timer.unref();
+    console.log(`[SCAN-STORE] ${index.size} gespeicherte Scans in ${dir}`);
+  }
+
+  // Speichert einen Bericht samt `files` ([{ file, data }]) und liefert dessen Kopfdaten (inkl. `id`)
+  async function save(report, { kind = 'scan', files = [], unlisted = false } = {}) {
+    const id = randomUUID();
+    const entry = {
+      id,
+      kind,
+      url: report.url || null,
+      domain: report.url ? new URL(report.url).hostname : null,
+      timestamp: report.timestamp || new Date().toISOString(),
+      score: report.score ?? null,
+      grade: report.grade ?? null,
+      standardCode: report.standardCode ?? null,
+      counts: report.counts ?? null,
+      ...(unlisted && { unlisted: true })
+    };
+    if (files.length) {
+      await mkdir(assetsFor(id), { recursive: true });
+      for (const { file, data } of files) await writeFile(join(assetsFor(id), file), data);
+    }
+    await writeJson(fileFor(id), { ...entry, report });
+    index.set(id, entry);
+    await persistIndex();
+    if (index.size > maxEntries) await prune();
+    return entry;
+  }
+
+  // Neueste zuerst; `url` exakt, `domain` inkl. Subdomains
+  function list({ url, domain, kind, limit = 20, offset = 0 } = {}) {
+    const host = domain?.toLowerCase();
+    const items = Array.from(index.values())
+      .filter(e => !e.unlisted)
+      .filter(e => !url || e.url === url)
+      .filter(e => !host || (e.domain && (e.domain === host || e.domain.endsWith(`.${host}`))))
+      .filter(e => !kind || e.kind === kind)
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    return { total: items.length, items: items.slice(offset, offset + limit) };
+  }
+
+  // Liefert { ...Kopfdaten, report } oder null; nur bekannte IDs werden gelesen
+  async function get(id) {
+    if (!index.has(id)) return null;
+    try {
+      return JSON.parse(await readFile(fileFor(id), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  // Liefert eine zugehörige Datei als Buffer oder null; nur einfache Dateinamen erlaubt
+  async function getFile(id, file) {
+    if (!index.has(id) || !ASSET_NAME.test(file)) return null;
+    try {
+      return await readFile(join(assetsFor(id), file));
+    } catch {
+      return null;
+    }
+  }
+
+  async function prune() {
+    const cutoff = new Date(Date.now() - retentionMs).toISOString();
+    const newestFirst = Array.from(index.values()).sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    const expired = newestFirst.filter((e, i) => e.timestamp < cutoff || i >= maxEntries);
+    if (!expired.length) return 0;
+    for (const e of expired) {
+      index.delete(e.id);
+      await unlink(fileFor(e.id)).catch(() => {});
+      await rm(assetsFor(e.id), { recursive: true, force: true }).catch(() => {});
+    }
+    await persistIndex();
+    console.log(`[SCAN-STORE] ${expired.length} abgelaufene Scans gelöscht`);
+    return expired.length;
+  }
+
+  function stats() {
+    return { stored: index.size, retentionMs, maxEntries };
+  }
+
+  return { init, save, list, get, getFile, prune, stats };
+}
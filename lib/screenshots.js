@@ -0,0 +1,120 @@
+// ===== Screenshots der gefundenen Elemente =====
+// Läuft auf der noch offenen Seite nach pa11y: Jedes Beispiel-Element (`samples`
+// der Issue-Gruppen) bekommt eine nummerierte Markierung, dann werden je Element
+// ein Ausschnitt und einmal die ganze Seite mit allen Markierungen aufgenommen.
+// Elemente, die nicht (mehr) gefunden werden oder unsichtbar sind, fallen weg.
+
+const PADDING = 24;
+const MAX_CROP = { width: 1200, height: 800 };
+const MAX_PAGE_HEIGHT = 8000;
+const JPEG = { type: 'jpeg', quality: 70 };
+const MARKER_ATTR = 'data-a11y-check-marker';
+
+// Position je Selektor in Dokument-Koordinaten; null, wenn nicht sichtbar
+function locateElements(selectors) {
+  return selectors.map((selector) => {
+    let el;
+    try {
+      el = document.querySelector(selector);
+    } catch {
+      return null;
+    }
+    if (!el) return null;
+    const r = el.getBoundingClientRect();
+    if (!r.width || !r.height) return null;
+    return { x: r.left + window.scrollX, y: r.top + window.scrollY, width: r.width, height: r.height };
+  });
+}
+
+// Rahmen mit Nummer über jedem Element; am <html> verankert, damit positionierte
+// Vorfahren die Koordinaten nicht verschieben
+function addMarkers(markers, attr) {
+  for (const { marker, rect } of markers) {
+    const box = document.createElement('div');
+    box.setAttribute(attr, '');
+    box.style.cssText = `position:absolute;left:${rect.x - 3}px;top:${rect.y - 3}px;width:${rect.width + 6}px;height:${rect.height + 6}px;` +
+      'border:3px solid #dc2626;background:rgba(220,38,38,.08);box-sizing:border-box;pointer-events:none;z-index:2147483647;';
+    const label = document.createElement('span');
+    label.textContent = String(marker);
+    label.style.cssText = 'position:absolute;left:-3px;top:-22px;min-width:18px;padding:1px 5px;background:#dc2626;color:#fff;' +
+      'font:bold 13px/18px system-ui,sans-serif;text-align:center;border-radius:4px;';
+    box.appendChild(label);
+    document.documentElement.appendChild(box);
+  }
+}
+
+function removeMarkers(attr) {
+  document.querySelectorAll(`[${attr}]`).forEach(el => el.remove());
+}
+
+const pageSize = () => ({
+  width: document.documentElement.scrollWidth,
+  height: document.documentElement.scrollHeight
+});
+
+// Ausschnitt mit Rand um das Element, begrenzt auf Seite und MAX_CROP
+function cropAround(rect, page) {
+  const x = Math.max(0, Math.floor(rect.x - PADDING));
+  const y = Math.max(0, Math.floor(rect.y - PADDING) - 22); // Platz für die Nummer
+  const width = Math.min(MAX_CROP.width, Math.ceil(rect.width + 2 * PADDING), page.width - x);
+  const height = Math.min(MAX_CROP.height, Math.ceil(rect.height + 2 * PADDING + 22), page.height - y);
+  return { x, y, width: Math.max(1, width), height: Math.max(1, height) };
+}
+
+// `groups` sind aufbereitete Issue-Gruppen (processAndCleanIssues) in Prioritätsreihenfolge.
+// Liefert { files: [{ file, data }], byCode: Map<code, [{ marker, selector, file }]>, fullPage, skipped }.
+export async function captureScreenshots(page, groups, { perIssue = 3, maxTotal = 30 } = {}) {
+  const targets = [];
+  for (const group of groups) {
+    for (const selector of (group.samples || []).slice(0, perIssue)) {
+      if (targets.length >= maxTotal) break;
+      targets.push({ code: group.code, selector });
+    }
+  }
+
+  const rects = targets.length ? await page.evaluate(locateElements, targets.map(t => t.selector)) : [];
+  const visible = targets
+    .map((t, i) => ({ ...t, rect: rects[i] }))
+    .filter(t => t.rect)
+    .map((t, i) => ({ ...t, marker: i + 1 }));
+
+  const files = [];
+  const byCode = new Map();
+  await page.evaluate(addMarkers, visible.map(({ marker, rect }) => ({ marker, rect })), MARKER_ATTR);
+  try {
+    const size = await page.evaluate(pageSize);
+    for (const target of visible) {
+      const file = `element-${target.marker}.jpg`;
+      files.push({ file, data: await page.screenshot({ ...JPEG, clip: cropAround(target.rect, size) }) });
+      if (!byCode.has(target.code)) byCode.set(target.code, []);
+      byCode.get(target.code).push({ marker: target.marker, selector: target.selector, file });
+    }
+
+    const height = Math.min(size.height, MAX_PAGE_HEIGHT);
+    files.push({ file: 'page.jpg', data: await page.screenshot({ ...JPEG, clip: { x: 0, y: 0, width: size.width, height } }) });
+    return {
+      files,
+      byCode,
+      fullPage: { file: 'page.jpg', width: size.width, height, truncated: size.height > MAX_PAGE_HEIGHT },
+      skipped: targets.length - visible.length
+    };
+  } finally {
+    await page.evaluate(removeMarkers, MARKER_ATTR).catch(() => {});
+  }
+}
+
+// Ergänzt die Issue-Gruppen um ihre Screenshots und liefert die Zusammenfassung für den Bericht
+export function attachScreenshots(issues, capture, { perIssue }) {
+  const withShots = issues.map(issue =>
+    (capture.byCode.has(issue.code) ? { ...issue, screenshots: capture.byCode.get(issue.code) } : issue));
+  return {
+    issues: withShots,
+    screenshots: {
+      count: capture.files.length - 1,
+      perIssue,
+      skipped: capture.skipped,
+      fullPage: capture.fullPage,
+      files: capture.files
+    }
+  };
+}
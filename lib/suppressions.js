@@ -0,0 +1,151 @@
+import { randomUUID } from 'crypto';
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+
+// ===== Unterdrückte Befunde je Domain =====
+// Eine Regel nimmt Issues einer Domain (inkl. Subdomains) anhand des Codes und
+// optional eines Selektor-Musters aus der Bewertung. Jede Regel braucht eine
+// Begründung; abgelaufene Regeln (`expiresAt`) bleiben gespeichert, greifen aber nicht mehr.
+
+const MAX_RULES = 1000;
+
+function ruleError(message, status = 400) {
+  const err = new Error(message);
+  err.code = 'INVALID_SUPPRESSION';
+  err.status = status;
+  return err;
+}
+
+// „*“ als Platzhalter, sonst exakter Vergleich
+function wildcard(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+const isHost = (v) => typeof v === 'string' && /^[a-z0-9-]+(\.[a-z0-9-]+)*$/i.test(v);
+const isText = (v, max) => typeof v === 'string' && v.trim().length > 0 && v.length <= max;
+
+// Prüft Felder einer neuen oder geänderten Regel; `partial` für Änderungen
+function validateRule(input, { partial = false } = {}) {
+  const rule = {};
+  const has = (key) => input[key] !== undefined;
+  if (!partial || has('domain')) {
+    if (!isHost(input.domain)) throw ruleError('domain muss ein Hostname sein (z. B. example.com).');
+    rule.domain = input.domain.toLowerCase();
+  }
+  if (!partial || has('code')) {
+    if (!isText(input.code, 300)) throw ruleError('code ist erforderlich (Issue-Code, „*“ als Platzhalter erlaubt).');
+    rule.code = input.code.trim();
+  }
+  if (has('selector')) {
+    if (input.selector !== null && !isText(input.selector, 500)) throw ruleError('selector muss ein Muster sein oder null.');
+    rule.selector = input.selector?.trim() || null;
+  }
+  if (!partial || has('justification')) {
+    if (!isText(input.justification, 2000)) throw ruleError('Bitte eine Begründung angeben (justification).');
+    rule.justification = input.justification.trim();
+  }
+  if (has('expiresAt')) {
+    if (input.expiresAt !== null && Number.isNaN(Date.parse(input.expiresAt))) {
+      throw ruleError('expiresAt muss ein Datum sein (z. B. 2025-12-31) oder null.');
+    }
+    rule.expiresAt = input.expiresAt === null ? null : new Date(input.expiresAt).toISOString();
+  }
+  return rule;
+}
+
+const isActive = (rule, now = Date.now()) => !rule.expiresAt || Date.parse(rule.expiresAt) > now;
+const domainMatches = (ruleDomain, host) => host === ruleDomain || host.endsWith(`.${ruleDomain}`);
+
+export function createSuppressionStore({ file }) {
+  let rules = [];
+  let writes = Promise.resolve();
+
+  // Schreibvorgänge nacheinander; ein Fehler erreicht den Aufrufer, blockiert aber keine späteren
+  function persist() {
+    const run = writes.then(async () => {
+      const tmp = `${file}.${process.pid}.tmp`;
+      await writeFile(tmp, JSON.stringify(rules, null, 2));
+      await rename(tmp, file);
+    });
+    writes = run.catch(() => {});
+    return run;
+  }
+
+  async function init() {
+    await mkdir(dirname(file), { recursive: true });
+    try {
+      rules = JSON.parse(await readFile(file, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`[SUPPRESSIONS] ${file} nicht lesbar – starte leer:`, err.message);
+      rules = [];
+    }
+    console.log(`[SUPPRESSIONS] ${rules.length} Regeln geladen`);
+  }
+
+  const withState = (rule) => ({ ...rule, active: isActive(rule) });
+
+  function list({ domain } = {}) {
+    const host = domain?.toLowerCase();
+    return rules
+      .filter(r => !host || domainMatches(r.domain, host) || domainMatches(host, r.domain))
+      .map(withState);
+  }
+
+  function get(id) {
+    const rule = rules.find(r => r.id === id);
+    return rule ? withState(rule) : null;
+  }
+
+  async function create(input) {
+    if (rules.length >= MAX_RULES) throw ruleError(`Maximal ${MAX_RULES} Regeln.`, 409);
+    const fields = validateRule(input);
+    const rule = {
+      id: randomUUID(),
+      domain: fields.domain,
+      code: fields.code,
+      selector: fields.selector ?? null,
+      justification: fields.justification,
+      expiresAt: fields.expiresAt ?? null,
+      createdAt: new Date().toISOString()
+    };
+    rules.push(rule);
+    await persist();
+    return withState(rule);
+  }
+
+  async function update(id, input) {
+    const rule = rules.find(r => r.id === id);
+    if (!rule) return null;
+    Object.assign(rule, validateRule(input, { partial: true }), { updatedAt: new Date().toISOString() });
+    await persist();
+    return withState(rule);
+  }
+
+  async function remove(id) {
+    const before = rules.length;
+    rules = rules.filter(r => r.id !== id);
+    if (rules.length === before) return false;
+    await persist();
+    return true;
+  }
+
+  // Liefert für eine URL eine Funktion issue → Regel | null (nur aktive Regeln der Domain).
+  // `normalizeCode` gleicht Codes mit/ohne Standard-Präfix an (z. B. „WCAG2AA.“).
+  function matcherFor(url, { normalizeCode = (c) => c } = {}) {
+    if (!url) return null;
+    const host = new URL(url).hostname.toLowerCase();
+    const now = Date.now();
+    const applicable = rules
+      .filter(r => isActive(r, now) && domainMatches(r.domain, host))
+      .map(r => ({ rule: r, code: wildcard(normalizeCode(r.code)), selector: r.selector && wildcard(r.selector) }));
+    if (!applicable.length) return null;
+    return (issue) => {
+      const code = normalizeCode(issue.code || '');
+      const hit = applicable.find(a => a.code.test(code) && (!a.selector || a.selector.test(issue.selector || '')));
+      return hit ? hit.rule : null;
+    };
+  }
+
+  return { init, list, get, create, update, remove, matcherFor };
+}
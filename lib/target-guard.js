@@ -0,0 +1,184 @@
+import dns from 'dns/promises';
+import { lookup as dnsLookup } from 'dns';
+import net from 'net';
+import { Agent } from 'undici';
+
+// ===== SSRF-Schutz: nur öffentliche Ziele scannen =====
+// Hostnamen werden aufgelöst; Loopback, Link-Local (inkl. Cloud-Metadaten),
+// private und reservierte Bereiche sind gesperrt, ebenso NAT64 und 6to4, die
+// IPv4-Ziele einbetten. Über SCAN_TARGET_ALLOWLIST
+// („intranet.example,*.corp.example,10.20.0.0/16“) lassen sich Ausnahmen freigeben.
+
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([net4, prefix]) => blocked.addSubnet(net4, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['2001:db8::', 32],
+  ['64:ff9b::', 96], ['2002::', 16]
+].forEach(([net6, prefix]) => blocked.addSubnet(net6, prefix, 'ipv6'));
+
+function parseAllowlist(raw = '') {
+  const hosts = [];
+  const nets = new net.BlockList();
+  for (const entry of raw.split(',').map(e => e.trim().toLowerCase()).filter(Boolean)) {
+    const [addr, prefix] = entry.split('/');
+    const family = net.isIP(addr);
+    if (family) {
+      const type = family === 6 ? 'ipv6' : 'ipv4';
+      nets.addSubnet(addr, Number(prefix ?? (family === 6 ? 128 : 32)), type);
+    } else {
+      hosts.push(entry);
+    }
+  }
+  return { hosts, nets };
+}
+
+const allowlist = parseAllowlist(process.env.SCAN_TARGET_ALLOWLIST);
+
+const hostAllowed = (host) => allowlist.hosts.some(h =>
+  h.startsWith('*.') ? host.endsWith(h.slice(1)) : host === h);
+
+// IPv4-in-IPv6 („::ffff:127.0.0.1“ bzw. „::ffff:7f00:1“) wie IPv4 behandeln
+function normalizeAddress(address) {
+  const dotted = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (dotted) return dotted[1];
+  const hex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  if (!hex) return address;
+  const [hi, lo] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+  return [hi >> 8, hi & 255, lo >> 8, lo & 255].join('.');
+}
+
+export function isBlockedAddress(address) {
+  const ip = normalizeAddress(address);
+  const type = net.isIP(ip) === 6 ? 'ipv6' : 'ipv4';
+  if (allowlist.nets.check(ip, type)) return false;
+  return blocked.check(ip, type);
+}
+
+function targetError(code, message) {
+  const err = new Error(message);
+  err.name = 'TargetError';
+  err.code = code;
+  err.status = 400;
+  return err;
+}
+
+// Wirft TARGET_NOT_ALLOWED / TARGET_UNRESOLVABLE, sonst undefined
+export async function assertPublicTarget(url) {
+  const u = new URL(url);
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') {
+    throw targetError('TARGET_NOT_ALLOWED', `Protokoll ${u.protocol} ist nicht erlaubt.`);
+  }
+  const host = u.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (hostAllowed(host)) return;
+
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.lookup(host, { all: true, verbatim: true })).map(a => a.address);
+    } catch {
+      throw targetError('TARGET_UNRESOLVABLE', `Der Host ${host} konnte nicht aufgelöst werden.`);
+    }
+  }
+  const hit = addresses.find(isBlockedAddress);
+  if (hit) {
+    throw targetError('TARGET_NOT_ALLOWED', `Ziel ${host} zeigt auf eine interne oder reservierte Adresse (${hit}) und darf nicht geprüft werden.`);
+  }
+}
+
+// DNS-Auflösung für ausgehende Verbindungen des Servers (Webhooks, Alarme):
+// dieselbe Adresse, mit der verbunden wird, läuft durch die Sperrliste. So kann
+// ein Host zwischen assertPublicTarget() und fetch() nicht auf eine interne
+// Adresse umschwenken (DNS-Rebinding).
+export function publicLookup(hostname, options, callback) {
+  dnsLookup(hostname, options, (err, address, family) => {
+    if (err || hostAllowed(hostname.toLowerCase())) return callback(err, address, family);
+    const hit = (Array.isArray(address) ? address.map(a => a.address) : [address]).find(isBlockedAddress);
+    if (hit) {
+      return callback(targetError('TARGET_NOT_ALLOWED', `Ziel ${hostname} zeigt auf eine interne oder reservierte Adresse (${hit}) und darf nicht aufgerufen werden.`));
+    }
+    callback(null, address, family);
+  });
+}
+
+// Für fetch(url, { dispatcher: publicDispatcher }); IP-Literale prüft assertPublicTarget()
+export const publicDispatcher = new Agent({ connect: { lookup: publicLookup } });
+
+// Prüft jede Anfrage der Seite (Weiterleitungen, Frames, Subressourcen).
+// Gesperrte Anfragen werden abgebrochen; ist die Hauptnavigation betroffen,
+// steht der Fehler anschließend in `guard.violation`.
+// Chromium löst Hostnamen selbst noch einmal auf (DNS-Rebinding): Antworten von
+// einer gesperrten Adresse und WebSockets, die an der Interception vorbeilaufen,
+// zu gesperrten Zielen machen den ganzen Scan ungültig; danach wird jede weitere
+// Anfrage abgebrochen. Im Dokument selbst sind WebSockets abgeschaltet.
+// `extraHeaders` gehen nur an Anfragen, deren Ursprung in `headerOrigins` steht.
+export async function guardPage(page, { extraHeaders = null, headerOrigins = [] } = {}) {
+  const verdicts = new Map();
+  const guard = { violation: null, blockedRequests: 0 };
+
+  const check = (url) => {
+    const key = new URL(url).host;
+    if (!verdicts.has(key)) {
+      verdicts.set(key, assertPublicTarget(url).then(() => null, err => err));
+    }
+    return verdicts.get(key);
+  };
+
+  const reject = (url, err) => {
+    guard.blockedRequests++;
+    guard.violation ??= err;
+    console.warn(`[SSRF] Verbindung blockiert: ${url} (${err.code})`);
+  };
+
+  await page.evaluateOnNewDocument(() => {
+    const WebSocket = function WebSocket() {
+      throw new DOMException('WebSockets sind während der Prüfung deaktiviert.', 'SecurityError');
+    };
+    Object.defineProperty(window, 'WebSocket', { value: WebSocket, writable: false, configurable: false });
+  });
+
+  const session = await page.target().createCDPSession();
+  await session.send('Network.enable');
+  session.on('Network.webSocketCreated', async ({ url }) => {
+    const err = await check(url.replace(/^ws/i, 'http'));
+    if (err) reject(url, err);
+  });
+  session.on('Network.responseReceived', ({ response }) => {
+    const ip = response.remoteIPAddress?.replace(/^\[|\]$/g, '');
+    if (!ip || !net.isIP(ip) || !/^https?:/i.test(response.url)) return;
+    const host = new URL(response.url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (hostAllowed(host) || !isBlockedAddress(ip)) return;
+    reject(response.url, targetError('TARGET_NOT_ALLOWED', `Ziel ${host} wurde beim Laden auf eine interne oder reservierte Adresse (${ip}) aufgelöst und darf nicht geprüft werden.`));
+  });
+
+  await page.setRequestInterception(true);
+  page.on('request', async (request) => {
+    const url = request.url();
+    if (guard.violation) return request.abort('blockedbyclient').catch(() => {});
+    if (/^(data|blob|about):/i.test(url)) return request.continue().catch(() => {});
+
+    const err = /^https?:/i.test(url)
+      ? await check(url)
+      : targetError('TARGET_NOT_ALLOWED', `Protokoll ${url.split(':')[0]}: ist nicht erlaubt.`);
+    if (!err) {
+      const withHeaders = extraHeaders && headerOrigins.includes(new URL(url).origin);
+      return request.continue(withHeaders ? { headers: { ...request.headers(), ...extraHeaders } } : undefined)
+        .catch(() => {});
+    }
+
+    guard.blockedRequests++;
+    if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+      guard.violation = err;
+    }
+    console.warn(`[SSRF] Anfrage blockiert: ${url} (${err.code})`);
+    return request.abort('blockedbyclient').catch(() => {});
+  });
+
+  return guard;
+}
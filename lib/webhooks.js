@@ -0,0 +1,127 @@
+import { createHmac, randomUUID } from 'crypto';
+
+// ===== Signierte Rückmeldungen (callbackUrl) =====
+// Jede Zustellung wird mit HMAC-SHA256 über „<Zeitstempel>.<Body>“ signiert:
+//   X-A11y-Timestamp: 1700000000
+//   X-A11y-Signature: sha256=<hex>
+// Fehlgeschlagene Zustellungen (Netzwerkfehler, 408, 429, 5xx) werden mit
+// exponentiellem Backoff wiederholt. Zustellungen bleiben `retentionMs` lang abrufbar.
+// `dispatcher` (lib/target-guard.js: publicDispatcher) prüft die Adresse auch beim Verbinden.
+
+const REQUEST_TIMEOUT_MS = 10000;
+const RETRYABLE_STATUS = new Set([408, 429]);
+
+export function signPayload(secret, timestamp, body) {
+  return 'sha256=' + createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+export function createWebhookDispatcher({
+  secret,
+  checkUrl,
+  dispatcher,
+  userAgent,
+  maxAttempts = 6,
+  baseDelayMs = 5000,
+  retentionMs = 24 * 60 * 60 * 1000
+}) {
+  const deliveries = new Map();
+
+  const cleanupTimer = setInterval(() => {
+    const cutoff = Date.now() - retentionMs;
+    for (const [id, d] of deliveries) {
+      if (d.status !== 'pending' && Date.parse(d.createdAt) < cutoff) deliveries.delete(id);
+    }
+  }, 60 * 1000);
+  cleanupTimer.unref();
+
+  async function attempt(delivery) {
+    const started = Date.now();
+    const record = { at: new Date(started).toISOString() };
+    let retry = true;
+    try {
+      await checkUrl(delivery.url);
+      const timestamp = Math.floor(started / 1000);
+      const r = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': userAgent,
+          'X-A11y-Event': delivery.event,
+          'X-A11y-Delivery': delivery.id,
+          'X-A11y-Timestamp': String(timestamp),
+          'X-A11y-Signature': signPayload(secret, timestamp, delivery.body)
+        },
+        body: delivery.body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        dispatcher
+      });
+      record.status = r.status;
+      if (r.ok) {
+        delivery.status = 'delivered';
+        delivery.deliveredAt = new Date().toISOString();
+      } else {
+        record.error = `HTTP ${r.status}`;
+        retry = r.status >= 500 || RETRYABLE_STATUS.has(r.status);
+      }
+    } catch (caught) {
+      // Blockiert beim Verbinden (DNS-Rebinding): Fehler steht in `cause`
+      const err = caught.cause?.code === 'TARGET_NOT_ALLOWED' ? caught.cause : caught;
+      record.error = err.code === 'TARGET_NOT_ALLOWED' ? err.message : `${err.name} – ${err.message}`;
+      retry = err.code !== 'TARGET_NOT_ALLOWED';
+    }
+    record.durationMs = Date.now() - started;
+    delivery.attempts.push(record);
+
+    if (delivery.status === 'delivered') {
+      delivery.nextAttemptAt = null;
+      return;
+    }
+    if (!retry || delivery.attempts.length >= maxAttempts) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      console.error(`[WEBHOOK] Zustellung ${delivery.id} an ${delivery.url} endgültig fehlgeschlagen: ${record.error}`);
+      return;
+    }
+    const delay = baseDelayMs * 2 ** (delivery.attempts.length - 1);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    console.warn(`[WEBHOOK] Zustellung ${delivery.id} fehlgeschlagen (${record.error}), neuer Versuch in ${Math.round(delay / 1000)} s`);
+    setTimeout(() => attempt(delivery), delay).unref();
+  }
+
+  // Startet die Zustellung sofort im Hintergrund und liefert den Zustell-Datensatz
+  function deliver(url, event, payload, meta = {}) {
+    const delivery = {
+      id: randomUUID(),
+      url,
+      event,
+      meta,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      deliveredAt: null,
+      nextAttemptAt: null,
+      attempts: [],
+      body: JSON.stringify(payload)
+    };
+    deliveries.set(delivery.id, delivery);
+    attempt(delivery);
+    return delivery;
+  }
+
+  // Ohne Body (der enthält das komplette Ergebnis)
+  const describe = ({ body, ...delivery }) => ({ ...delivery, maxAttempts, bytes: Buffer.byteLength(body) });
+
+  function get(id) {
+    const d = deliveries.get(id);
+    return d ? describe(d) : null;
+  }
+
+  function list({ jobId } = {}) {
+    return Array.from(deliveries.values())
+      .filter(d => !jobId || d.meta.jobId === jobId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(describe);
+  }
+
+  return { deliver, get, list };
+}
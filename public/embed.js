@@ -4,6 +4,10 @@
 
   const SCRIPT = document.currentScript;
   const ENDPOINT = (SCRIPT && SCRIPT.dataset && SCRIPT.dataset.endpoint) || '/api/a11y-check';
+  const SCANS_ENDPOINT = (SCRIPT && SCRIPT.dataset && SCRIPT.dataset.scansEndpoint) || ENDPOINT.replace(/\/a11y-check\/?$/, '/scans');
+  const LOCALES_ENDPOINT = (SCRIPT && SCRIPT.dataset && SCRIPT.dataset.localesEndpoint) || ENDPOINT.replace(/\/a11y-check\/?$/, '/locales');
+  // Sprache von Oberfläche und Bericht (data-lang="de" | "en" | "fr")
+  const LANG = (SCRIPT && SCRIPT.dataset && SCRIPT.dataset.lang) || 'de';
 
   // ---------- Helpers ----------
   function el(tag, opts={}, children=[]){
@@ -19,15 +23,146 @@
     return n;
   }
   const setText = (node, v) => { node.textContent = v == null ? '' : String(v); return node; };
+  // URLs aus API-Antworten (Screenshots, Fundstellen) sind serverrelativ (/api/scans/…) und gehören zum Server des Widgets
+  const assetUrl = (path) => new URL(path, new URL(ENDPOINT, location.href)).href;
+
+  // ---------- Texte ----------
+  // Kommen beim Start vom Server (locales/<lang>.json, Abschnitt „widget“); {name} wird ersetzt.
+  // Ist der Server nicht erreichbar, gelten die mitgelieferten englischen Texte
+  // (Kopie von locales/en.json, Abschnitt „widget“ – bei Änderungen mitpflegen).
+  const FALLBACK_STRINGS = {
+    "overlayLabel": "Analysis in progress",
+    "overlayTitle": "Checking …",
+    "overlayHint": "(may take 5–60 seconds)",
+    "overlayStarting": "Starting … (may take 5–60 seconds)",
+    "stage.validated": "URL validated",
+    "stage.browserLaunched": "Browser started",
+    "stage.pageLoaded": "Page loaded",
+    "stage.auditFinished": "Check finished",
+    "stage.issuesProcessed": "Results processed",
+    "stage.scored": "Score calculated",
+    "analysisFailed": "Analysis failed",
+    "error": "Error: {message}",
+    "formTitle": "🔍 Accessibility check (WCAG 2.1)",
+    "urlLabel": "URL to check",
+    "htmlPlaceholder": "<main>…</main> or a complete HTML document",
+    "htmlLabel": "HTML source",
+    "baseUrlPlaceholder": "Base URL for relative paths (optional)",
+    "baseUrlLabel": "Base URL (optional)",
+    "modeLabel": "Input type",
+    "modeUrl": "Check URL",
+    "modeHtml": "Paste HTML",
+    "levelLabel": "WCAG conformance level",
+    "level": "Level {level}",
+    "profileLabel": "Device profile",
+    "profileDesktop": "Desktop",
+    "profileTablet": "Tablet",
+    "profileMobile": "Smartphone",
+    "profileZoom200": "200 % zoom",
+    "profileCompare": "Compare (all)",
+    "screenshots": "📸 Screenshots",
+    "submit": "Check",
+    "htmlRequired": "Please paste some HTML source.",
+    "urlRequired": "Please enter a valid URL.",
+    "grade": "Grade: {grade}",
+    "checkedAgainst": "Checked against: {standard}",
+    "statCritical": "Critical",
+    "statWarnings": "Warnings",
+    "statTotal": "Total",
+    "toneExcellentTitle": "Very good – almost accessible 🎉",
+    "toneExcellentText": "Your page is accessible to most users. Only a few points remain open.",
+    "toneGoodTitle": "Good – with room for improvement ✅",
+    "toneGoodText": "The most important basics are in place. A few targeted changes will raise the quality noticeably.",
+    "toneFairTitle": "Needs work – please refine 💡",
+    "toneFairText": "Several aspects make the page harder to use. A short action plan (see below) brings quick progress.",
+    "tonePoorTitle": "Attention – urgent action required 🚨",
+    "tonePoorText": "Major barriers prevent fair access. Start with the critical points.",
+    "nextStepsTitle": "Recommended next steps (3–5 minutes)",
+    "nextStepsAltText": "Give images short, meaningful alt texts",
+    "nextStepsContrast": "Check text contrast and increase it where needed",
+    "nextStepsFocus": "Make the focus outline clearly visible on all buttons and links",
+    "nextStepsTip": "Tip: Start with the “Critical” points that occur most often.",
+    "legendTitle": "Legend",
+    "legendCritical": "Critical (🚨)",
+    "legendCriticalText": "Removes barriers that block core functions – tackle these first.",
+    "legendWarning": "Warning (⚠️)",
+    "legendWarningText": "Affects some groups or readability – improve soon.",
+    "legendNotice": "Notice (💡)",
+    "legendNoticeText": "Clean-up and best practices – address when time allows.",
+    "urgentTitle": "🚨 Fix urgently",
+    "seeWcag": "See the WCAG guidelines",
+    "quickWinsTitle": "🎯 Quick wins",
+    "overviewTitle": "🖼️ Page overview ({count} marked elements)",
+    "overviewHint": "The numbers match the markers shown with each issue.",
+    "overviewTruncated": "Very long pages are cut off at the bottom.",
+    "overviewAlt": "Full page with numbered markers on the affected elements",
+    "occurrencesTitle": "🔎 All occurrences ({count})",
+    "occurrencesMore": "Load more ({count} left)",
+    "occurrencesRest": "… and {count} more",
+    "retryError": "Error: {message} – try again",
+    "suppressedTitle": "🔕 Suppressed ({count})",
+    "suppressedUntil": "(until {date})",
+    "justification": "Justification: {text}",
+    "compareTitle": "🔄 Before/after",
+    "compareIntro": "This check has the scan ID {scanId}. Compare it with an earlier check.",
+    "compareIdLabel": "Scan ID of the earlier check",
+    "compareButton": "Compare",
+    "compareIdRequired": "Please enter a scan ID.",
+    "comparing": "Comparing …",
+    "diffScore": "Score: {before} → {after}",
+    "diffDifferentUrls": "Note: The two scans are for different URLs.",
+    "diffNew": "New",
+    "diffFixed": "Fixed",
+    "diffUnchanged": "Unchanged",
+    "profilesTitle": "📱 Results per device",
+    "profileFailed": "Check failed",
+    "profileBaseline": "Baseline",
+    "profileNewIssues": "{count} additional issues",
+    "profileOnlyHere": "Only on {profile}, not on {baseline}:",
+    "detailsShow": "Show all details",
+    "detailsHide": "Hide details",
+    "tabsLabel": "Accessibility result tabs",
+    "tabCritical": "Critical",
+    "tabWarning": "Warnings",
+    "tabLow": "Notices",
+    "priority.critical": "Critical",
+    "priority.warning": "Warning",
+    "priority.low": "Notice",
+    "type.error": "Error",
+    "type.warning": "Warning",
+    "type.notice": "Notice",
+    "noDescription": "No description available",
+    "affectedElements": "📍 Affected elements:",
+    "marker": "Marker {marker}",
+    "markerAlt": "Marker {marker}: {selector}",
+    "pdfDownload": "Download as PDF",
+    "pdfCreating": "🔄 Creating PDF...",
+    "pdfFailedStatus": "The PDF could not be created (HTTP {status}).",
+    "pdfFailed": "Creating the PDF failed. Please try again."
+  };
+  let STRINGS = {};
+  const lookup = (key) => STRINGS[key] ?? FALLBACK_STRINGS[key];
+  function t(key, vars){
+    const text = lookup(key);
+    if (text == null) return key;
+    return vars ? text.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m)) : text;
+  }
+  async function loadStrings(){
+    const r = await fetch(LOCALES_ENDPOINT + '/' + encodeURIComponent(LANG), { headers:{ 'Accept':'application/json' } });
+    if (!r.ok) throw await errorFrom(r);
+    STRINGS = (await r.json()).strings;
+  }
+  // Stufen des Einzelscans in der Widget-Sprache, sonst die Beschriftung vom Server
+  const stageLabel = (progress) => lookup('stage.' + progress.stage) || progress.label;
 
   // ---------- Loading Overlay ----------
   // ---------- Loading Overlay (mit Fortschrittsbalken) ----------
-let overlay, progressBar, progressTimer;
+let overlay, progressBar, stageText;
 
 function ensureOverlay(){
   if (overlay) return overlay;
   overlay = el('div', {
-    attrs:{ role:'dialog', 'aria-modal':'true', 'aria-label':'Analyse läuft' },
+    attrs:{ role:'dialog', 'aria-modal':'true', 'aria-label':t('overlayLabel') },
     style:{
       position:'fixed', inset:'0', background:'rgba(17,24,39,0.45)',
       display:'none', alignItems:'center', justifyContent:'center',
@@ -47,8 +182,8 @@ function ensureOverlay(){
   const spin = el('div', { style:{ width:'28px', height:'28px', flex:'0 0 28px' }});
   spin.innerHTML = '<svg viewBox="0 0 24 24" width="28" height="28" aria-hidden="true"><circle cx="12" cy="12" r="10" stroke="#E5E7EB" stroke-width="4" fill="none"></circle><path d="M22 12a10 10 0 0 0-10-10" stroke="#3B82F6" stroke-width="4" stroke-linecap="round" fill="none"><animateTransform attributeName="transform" type="rotate" from="0 12 12" to="360 12 12" dur="0.9s" repeatCount="indefinite"/></path></svg>';
   const txtBox = el('div', { attrs:{ 'aria-live':'polite', role:'status' }}, [
-    el('div', { style:{ fontWeight:'700', color:'#111827', marginBottom:'2px' }}, ['Wird geprüft …']),
-    el('div', { style:{ fontSize:'12px', color:'#6B7280' }}, ['(kann 5–60 Sekunden dauern)'])
+    el('div', { style:{ fontWeight:'700', color:'#111827', marginBottom:'2px' }}, [t('overlayTitle')]),
+    stageText = el('div', { style:{ fontSize:'12px', color:'#6B7280' }}, [t('overlayHint')])
   ]);
   row.appendChild(spin);
   row.appendChild(txtBox);
@@ -71,26 +206,13 @@ function ensureOverlay(){
   return overlay;
 }
 
-function updateProgress(pct){
+// Fortschritt kommt vom Server (Stufe + Prozent), nicht mehr von einem Timer
+function updateProgress(pct, label){
   if (!progressBar) return;
   const n = Math.max(0, Math.min(100, pct));
   progressBar.style.width = n + '%';
   progressBar.textContent = Math.round(n) + '%';
-}
-
-function startProgressLoop(){
-  stopProgressLoop();
-  let pct = 0;
-  progressTimer = setInterval(() => {
-    // Wird mit der Zeit langsamer und stoppt bei ~90 %
-    const step = Math.max(0.5, 4 - (pct / 30));
-    pct = Math.min(90, pct + step);
-    updateProgress(pct);
-  }, 180);
-}
-
-function stopProgressLoop(){
-  if (progressTimer){ clearInterval(progressTimer); progressTimer = null; }
+  if (label && stageText) setText(stageText, label + ' – ' + Math.round(n) + ' %');
 }
 
 function showLoading(){
@@ -98,7 +220,7 @@ function showLoading(){
   o.style.display = 'flex';
   document.body.style.overflow = 'hidden'; // Scroll sperren
   updateProgress(0);
-  startProgressLoop();
+  setText(stageText, t('overlayStarting'));
 
   const c = o.firstChild;
   if (c){ c.tabIndex = -1; c.focus({ preventScroll:true }); }
@@ -106,7 +228,6 @@ function showLoading(){
 
 function hideLoading({ complete=false } = {}){
   if (!overlay) return;
-  stopProgressLoop();
   if (complete){
     updateProgress(100);
     setTimeout(() => {
@@ -132,16 +253,83 @@ function hideLoading({ complete=false } = {}){
   }
 
   // ---------- API ----------
-  async function runAudit(url){
+  const POLL_INTERVAL_MS = 2000;
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  async function errorFrom(r){
+    const body = await r.json().catch(() => null);
+    return new Error((body && body.error) || ('HTTP '+r.status));
+  }
+
+  // Fortschritt per Server-Sent Events; ohne EventSource oder bei Abbruch wird abgefragt
+  function streamJob(jobUrl, onProgress){
+    return new Promise((resolve, reject) => {
+      if (typeof EventSource === 'undefined') return resolve(pollJob(jobUrl, onProgress));
+      const es = new EventSource(jobUrl + '/events');
+      es.addEventListener('progress', e => {
+        const p = JSON.parse(e.data);
+        onProgress(p.percent, stageLabel(p));
+      });
+      es.addEventListener('done', e => { es.close(); resolve(JSON.parse(e.data).result); });
+      es.addEventListener('failed', e => {
+        es.close();
+        reject(new Error(JSON.parse(e.data).error || t('analysisFailed')));
+      });
+      es.onerror = () => { es.close(); resolve(pollJob(jobUrl, onProgress)); };
+    });
+  }
+
+  async function pollJob(jobUrl, onProgress){
+    for (;;) {
+      await sleep(POLL_INTERVAL_MS);
+      const p = await fetch(jobUrl, { headers:{ 'Accept':'application/json' } });
+      if (!p.ok) throw await errorFrom(p);
+      const state = await p.json();
+      if (state.progress) onProgress(state.progress.percent, stageLabel(state.progress));
+      if (state.status === 'done') return state.result;
+      if (state.status === 'failed') throw new Error(state.error || t('analysisFailed'));
+    }
+  }
+
+  // Job einreichen (202) und bis zum Ergebnis verfolgen
+  // target: { url } oder { html, baseUrl }; options: { standard, profile }; der Bericht kommt in LANG
+  async function runAudit(target, options, onProgress = () => {}){
     const r = await fetch(ENDPOINT, {
       method:'POST',
       headers:{ 'Content-Type':'application/json' },
-      body: JSON.stringify({ url })
+      body: JSON.stringify({ ...target, ...options, lang: LANG, async: true })
+    });
+    if (!r.ok) throw await errorFrom(r);
+    if (r.status !== 202) return r.json();
+
+    const job = await r.json();
+    if (job.progress) onProgress(job.progress.percent, stageLabel(job.progress));
+    const jobUrl = r.headers.get('Location') || (ENDPOINT + '/' + encodeURIComponent(job.jobId));
+    return streamJob(jobUrl, onProgress);
+  }
+
+  async function diffScans(beforeId, afterId){
+    const r = await fetch(SCANS_ENDPOINT + '/diff', {
+      method:'POST',
+      headers:{ 'Content-Type':'application/json' },
+      body: JSON.stringify({ before: beforeId, after: afterId })
     });
-    if (!r.ok) throw new Error('HTTP '+r.status);
+    if (!r.ok) throw await errorFrom(r);
     return r.json();
   }
 
+  // Letzte Scan-ID je URL merken, damit „Vorher/Nachher“ ohne Abtippen funktioniert
+  const LAST_SCAN_KEY = 'regukit-a11y:last-scan:';
+  function rememberScan(url, scanId){
+    try {
+      const previous = localStorage.getItem(LAST_SCAN_KEY + url);
+      localStorage.setItem(LAST_SCAN_KEY + url, scanId);
+      return previous;
+    } catch (_) {
+      return null; // z. B. Speicher im privaten Modus gesperrt
+    }
+  }
+
   // ---------- UI ----------
   function renderForm(container){
     const box = el('div', { style:{
@@ -149,37 +337,95 @@ function hideLoading({ complete=false } = {}){
       border:'2px solid #e5e7eb', borderRadius:'12px', padding:'16px',
       background:'#fff', boxShadow:'0 4px 6px rgba(0,0,0,0.05)'
     }});
-    const h = el('h3', { style:{ margin:'0 0 12px 0', fontSize:'18px', color:'#111827' }}, ['🔍 Barrierefreiheits-Check (WCAG 2.1 AA)']);
+    const h = el('h3', { style:{ margin:'0 0 12px 0', fontSize:'18px', color:'#111827' }}, [t('formTitle')]);
     const row = el('div', { style:{ display:'flex', gap:'8px', flexWrap:'wrap' }});
-    const input = el('input', { type:'url', placeholder:'https://example.com', required:true, style:{ flex:'1', minWidth:'260px', padding:'10px 12px', border:'1px solid #d1d5db', borderRadius:'8px', fontSize:'14px' }});
-    const btn = el('button', { attrs:{ type:'button' }, style:{ padding:'10px 14px', border:'0', borderRadius:'8px', cursor:'pointer', fontWeight:'600', color:'#fff', background:'#3b82f6' }}, ['Prüfen']);
+    const input = el('input', { type:'url', placeholder:'https://example.com', required:true, attrs:{ 'aria-label':t('urlLabel') }, style:{ flex:'1', minWidth:'260px', padding:'10px 12px', border:'1px solid #d1d5db', borderRadius:'8px', fontSize:'14px' }});
+
+    // Modus: URL prüfen oder HTML einfügen
+    let mode = 'url';
+    const fieldStyle = { padding:'10px 12px', border:'1px solid #d1d5db', borderRadius:'8px', fontSize:'14px', boxSizing:'border-box', width:'100%' };
+    const htmlInput = el('textarea', { placeholder:t('htmlPlaceholder'), attrs:{ rows:'8', 'aria-label':t('htmlLabel') }, style:{ ...fieldStyle, fontFamily:'ui-monospace,SFMono-Regular,Menlo,monospace', fontSize:'13px', resize:'vertical' }});
+    const baseInput = el('input', { type:'url', placeholder:t('baseUrlPlaceholder'), attrs:{ 'aria-label':t('baseUrlLabel') }, style:fieldStyle });
+    const htmlPanel = el('div', { attrs:{ id:'a11y-mode-html-panel', role:'tabpanel', 'aria-labelledby':'a11y-mode-html' }, style:{ display:'none', flexDirection:'column', gap:'8px', marginBottom:'8px' }}, [htmlInput, baseInput]);
+    const modeTabs = el('div', { attrs:{ role:'tablist', 'aria-label':t('modeLabel') }, style:{ display:'flex', gap:'4px', marginBottom:'10px' }});
+    const modeButtons = {};
+    [['url', t('modeUrl')], ['html', t('modeHtml')]].forEach(([id, label]) => {
+      const tab = el('button', { attrs:{ type:'button', role:'tab', id:'a11y-mode-' + id, 'aria-selected': String(id === mode) }, style:{
+        padding:'6px 12px', border:'1px solid #d1d5db', borderRadius:'999px', cursor:'pointer', fontSize:'13px', fontWeight:'600'
+      }}, [label]);
+      tab.addEventListener('click', () => setMode(id));
+      modeButtons[id] = tab;
+      modeTabs.appendChild(tab);
+    });
+    function setMode(next){
+      mode = next;
+      Object.keys(modeButtons).forEach(id => {
+        const active = id === mode;
+        modeButtons[id].setAttribute('aria-selected', String(active));
+        modeButtons[id].style.background = active ? '#3b82f6' : '#fff';
+        modeButtons[id].style.color = active ? '#fff' : '#374151';
+      });
+      input.style.display = mode === 'url' ? '' : 'none';
+      htmlPanel.style.display = mode === 'html' ? 'flex' : 'none';
+    }
+    setMode('url');
+    const level = el('select', { attrs:{ 'aria-label':t('levelLabel') }, style:{ padding:'10px 12px', border:'1px solid #d1d5db', borderRadius:'8px', fontSize:'14px', background:'#fff' }}, [
+      el('option', { attrs:{ value:'A' }}, [t('level', { level:'A' })]),
+      el('option', { attrs:{ value:'AA', selected:'selected' }}, [t('level', { level:'AA' })]),
+      el('option', { attrs:{ value:'AAA' }}, [t('level', { level:'AAA' })])
+    ]);
+    // Gerät/Viewport; „Vergleich“ prüft alle Profile und zeigt, was nur mobil auftritt
+    const profile = el('select', { attrs:{ 'aria-label':t('profileLabel') }, style:{ padding:'10px 12px', border:'1px solid #d1d5db', borderRadius:'8px', fontSize:'14px', background:'#fff' }}, [
+      el('option', { attrs:{ value:'desktop', selected:'selected' }}, [t('profileDesktop')]),
+      el('option', { attrs:{ value:'tablet' }}, [t('profileTablet')]),
+      el('option', { attrs:{ value:'mobile' }}, [t('profileMobile')]),
+      el('option', { attrs:{ value:'zoom200' }}, [t('profileZoom200')]),
+      el('option', { attrs:{ value:'compare' }}, [t('profileCompare')])
+    ]);
+    // Screenshots der betroffenen Elemente (nicht beim Profil-Vergleich)
+    const shotsToggle = el('input', { type:'checkbox', attrs:{ id:'a11y-screenshots' }});
+    const shotsLabel = el('label', { attrs:{ for:'a11y-screenshots' }, style:{ display:'flex', alignItems:'center', gap:'6px', fontSize:'14px', color:'#374151', cursor:'pointer' }}, [shotsToggle, t('screenshots')]);
+    profile.addEventListener('change', () => {
+      shotsToggle.disabled = profile.value === 'compare';
+      if (shotsToggle.disabled) shotsToggle.checked = false;
+    });
+    const btn = el('button', { attrs:{ type:'button' }, style:{ padding:'10px 14px', border:'0', borderRadius:'8px', cursor:'pointer', fontWeight:'600', color:'#fff', background:'#3b82f6' }}, [t('submit')]);
     const status = el('div', { style:{ marginTop:'8px', fontSize:'12px', color:'#6b7280' }});
     const results = el('div', { style:{ marginTop:'16px' }});
 
 btn.addEventListener('click', async () => {
-  const url = input.value.trim();
-  if (!url) { setText(status, 'Bitte eine gültige URL eingeben.'); input.focus(); return; }
+  let target;
+  if (mode === 'html') {
+    const html = htmlInput.value;
+    if (!html.trim()) { setText(status, t('htmlRequired')); htmlInput.focus(); return; }
+    target = { html, baseUrl: baseInput.value.trim() || undefined };
+  } else {
+    const url = input.value.trim();
+    if (!url) { setText(status, t('urlRequired')); input.focus(); return; }
+    target = { url };
+  }
   results.innerHTML = ''; setText(status, '');
   showLoading();
   btn.disabled = true; // optional: Doppelklicks vermeiden
   try {
-    const data = await runAudit(url);
-    renderResults(results, data);
+    const data = await runAudit(target, { standard: level.value, profile: profile.value, screenshots: shotsToggle.checked || undefined }, updateProgress);
+    const previousScanId = data.scanId && data.url ? rememberScan(data.url, data.scanId) : null;
+    renderResults(results, data, { previousScanId });
     hideLoading({ complete: true }); // nur bei Erfolg auf 100 %
   } catch (e) {
-    setText(status, 'Fehler: ' + (e.message || e)); status.style.color = '#dc2626';
+    setText(status, t('error', { message: e.message || e })); status.style.color = '#dc2626';
     hideLoading(); // bei Fehler ohne „complete“
   } finally {
     btn.disabled = false;
   }
 });
 
-    row.appendChild(input); row.appendChild(btn);
-    box.appendChild(h); box.appendChild(row); box.appendChild(status); box.appendChild(results);
+    row.appendChild(input); row.appendChild(level); row.appendChild(profile); row.appendChild(shotsLabel); row.appendChild(btn);
+    box.appendChild(h); box.appendChild(modeTabs); box.appendChild(htmlPanel); box.appendChild(row); box.appendChild(status); box.appendChild(results);
     container.appendChild(box);
   }
 
-  function renderResults(container, data){
+  function renderResults(container, data, { previousScanId } = {}){
     const scoreColor = data.score >= 90 ? '#059669' : data.score >= 70 ? '#eab308' : data.score >= 50 ? '#f59e0b' : '#dc2626';
 
     // Hauptscore mit besserem Design
@@ -221,7 +467,7 @@ btn.addEventListener('click', async () => {
         borderRadius: '20px',
         boxShadow: `0 4px 12px ${scoreColor}40`
       }
-    }, [`Note: ${data.grade || '–'}`]));
+    }, [t('grade', { grade: data.grade || '–' })]));
 
     const assessment = el('div', {
       style: {
@@ -238,6 +484,9 @@ btn.addEventListener('click', async () => {
     scoreCard.appendChild(scoreNum);
     scoreCard.appendChild(gradeRow);
     scoreCard.appendChild(assessment);
+    if (data.standard) {
+      scoreCard.appendChild(el('div', { style:{ marginTop:'10px', fontSize:'0.8rem', color:'#6b7280' }}, [t('checkedAgainst', { standard: data.standard }) + (data.profile ? ' · ' + data.profile.label : '')]));
+    }
 
     // Verbesserte Statistiken mit Icons
     const statsGrid = el('div', {
@@ -252,21 +501,24 @@ btn.addEventListener('click', async () => {
     const stats = [
       { 
         icon: '🚨', 
-        label: 'Kritisch', 
+        tab: 'critical',
+        label: t('statCritical'), 
         value: data.summary?.criticalCount ?? data.counts?.errors ?? 0, 
         color: '#dc2626',
         bg: '#fef2f2'
       },
       { 
         icon: '⚠️', 
-        label: 'Warnungen', 
+        tab: 'warning',
+        label: t('statWarnings'), 
         value: data.summary?.warningCount ?? data.counts?.warnings ?? 0, 
         color: '#f59e0b',
         bg: '#fffbeb'
       },
       { 
         icon: '📊', 
-        label: 'Gesamt', 
+        tab: 'low',
+        label: t('statTotal'), 
         value: data.summary?.total ?? (data.meta?.totalIssuesFound ?? 0), 
         color: '#6b7280',
         bg: '#f9fafb'
@@ -281,19 +533,8 @@ function addPlainLanguagePanels(container, data) {
     padding:'16px', marginBottom:'16px'
   }});
   const score = Number(data?.score ?? 0);
-  const tone = score >= 90 ? {
-    title:'Sehr gut – fast barrierefrei 🎉',
-    msg:'Ihre Seite ist für die meisten Nutzer*innen gut zugänglich. Es gibt nur wenige offene Punkte.'
-  } : score >= 70 ? {
-    title:'Gut – mit Verbesserungs-Potenzial ✅',
-    msg:'Die wichtigsten Grundlagen sind vorhanden. Mit ein paar gezielten Anpassungen heben Sie die Qualität deutlich.'
-  } : score >= 50 ? {
-    title:'Ausbaufähig – bitte nachschärfen 💡',
-    msg:'Mehrere Aspekte erschweren die Nutzung. Ein kurzer Maßnahmenplan (siehe unten) bringt schnell Fortschritt.'
-  } : {
-    title:'Achtung – dringender Handlungsbedarf 🚨',
-    msg:'Wichtige Barrieren verhindern eine faire Nutzung. Starten Sie mit den kritischen Punkten.'
-  };
+  const toneKey = score >= 90 ? 'toneExcellent' : score >= 70 ? 'toneGood' : score >= 50 ? 'toneFair' : 'tonePoor';
+  const tone = { title: t(toneKey + 'Title'), msg: t(toneKey + 'Text') };
   explain.appendChild(el('div', { style:{fontWeight:'700', color:'#111827', marginBottom:'6px'}}, [tone.title]));
   explain.appendChild(el('div', { style:{color:'#4b5563', lineHeight:'1.5'}}, [tone.msg]));
   container.appendChild(explain);
@@ -304,14 +545,14 @@ function addPlainLanguagePanels(container, data) {
     padding:'16px', marginBottom:'16px'
   }});
   quick.appendChild(el('div', { style:{fontWeight:'700', color:'#065f46', marginBottom:'10px'}},
-    ['Empfohlene nächste Schritte (3–5 Minuten)']));
+    [t('nextStepsTitle')]));
   
   // Vorschläge dynamisch aus deinen Daten ableiten (fallbacks vorhanden)
   const quickWins = Array.isArray(data?.summary?.quickWins) ? data.summary.quickWins.slice(0,5) : [];
   const suggestions = quickWins.length ? quickWins : [
-    'Bilder mit kurzen, sinnvollen Alt-Texten versehen',
-    'Kontraste von Texten prüfen und ggf. erhöhen',
-    'Fokus-Rahmen für alle Buttons/Links gut sichtbar machen'
+    t('nextStepsAltText'),
+    t('nextStepsContrast'),
+    t('nextStepsFocus')
   ];
 
   const list = el('ul', { style:{margin:'0', padding:'0', listStyle:'none', display:'grid', gap:'8px'}});
@@ -326,7 +567,7 @@ function addPlainLanguagePanels(container, data) {
   });
   // Mini-Hinweis darunter
   const hint = el('div', { style:{marginTop:'10px', fontSize:'12px', color:'#047857'}},
-    ['Tipp: Beginnen Sie mit den „Kritisch“-Punkten, die am häufigsten vorkommen.']);
+    [t('nextStepsTip')]);
   quick.appendChild(list);
   quick.appendChild(hint);
   container.appendChild(quick);
@@ -337,11 +578,11 @@ function addPlainLanguagePanels(container, data) {
     padding:'16px', marginBottom:'16px'
   }});
   legend.appendChild(el('div', { style:{fontWeight:'700', color:'#9a3412', marginBottom:'8px'}},
-    ['Legende']));
+    [t('legendTitle')]));
   const items = [
-    { label:'Kritisch (🚨)', color:'#dc2626', text:'Behebt Barrieren, die zentrale Funktionen blockieren – zuerst angehen.' },
-    { label:'Warnung (⚠️)', color:'#f59e0b', text:'Beeinträchtigt einzelne Gruppen oder Lesbarkeit – zeitnah optimieren.' },
-    { label:'Hinweis (💡)', color:'#6b7280', text:'Sauberkeit/Best Practices – nachziehen, wenn Zeit ist.' }
+    { label:t('legendCritical'), color:'#dc2626', text:t('legendCriticalText') },
+    { label:t('legendWarning'), color:'#f59e0b', text:t('legendWarningText') },
+    { label:t('legendNotice'), color:'#6b7280', text:t('legendNoticeText') }
   ];
   const grid = el('div', { style:{display:'grid', gap:'8px'}});
   items.forEach(it => {
@@ -378,11 +619,8 @@ stats.forEach(stat => {
 
   // Filter-Funktion beim Klick
   card.addEventListener('click', () => {
-    // Bestimme Ziel-Tab basierend auf Label
-    let targetTab;
-    if (stat.label === 'Kritisch') targetTab = 'critical';
-    else if (stat.label === 'Warnungen') targetTab = 'warning';
-    else targetTab = 'low';
+    // Ziel-Tab der Kachel (Beschriftungen hängen von der Sprache ab)
+    const targetTab = stat.tab;
     
     // Prüfe ob Details offen sind, falls nicht → öffnen
     let tabBtn = document.querySelector('#tab-' + targetTab);
@@ -451,6 +689,8 @@ addPlainLanguagePanels(container, data);
 
 container.appendChild(statsGrid);
 
+    if (data.comparison) renderProfileComparison(container, data.comparison);
+
 
     // Verbesserte kritische Probleme Sektion
     const topCritical = Array.isArray(data.summary?.topCritical) ? data.summary.topCritical : [];
@@ -476,7 +716,7 @@ container.appendChild(statsGrid);
           fontWeight: '700',
           color: '#991b1b'
         }
-      }, ['🚨 Dringend zu beheben']);
+      }, [t('urgentTitle')]);
 
       criticalCard.appendChild(header);
 
@@ -533,7 +773,7 @@ container.appendChild(statsGrid);
             border: '1px solid #a7f3d0',
             marginTop: '8px'
           }
-        }, [`💡 ${issue.fix || 'Siehe WCAG-Richtlinien'}`]);
+        }, [`💡 ${issue.fix || t('seeWcag')}`]);
 
         issueRow.appendChild(titleRow);
         if (issue.fix) issueRow.appendChild(fix);
@@ -566,7 +806,7 @@ container.appendChild(statsGrid);
           fontWeight: '700',
           color: '#065f46'
         }
-      }, ['🎯 Schnell behebbar']);
+      }, [t('quickWinsTitle')]);
 
       const quickList = el('div', { style: { display: 'flex', flexDirection: 'column', gap: '8px' }});
 
@@ -604,11 +844,186 @@ container.appendChild(statsGrid);
     if (Array.isArray(data.issues) && data.issues.length) {
       renderDetails(container, data.issues);
     }
+    if (data.screenshots?.fullPage?.url) renderPageOverview(container, data.screenshots);
     
+    if (data.suppressed?.count) renderSuppressed(container, data.suppressed);
+    if (data.scanId) renderComparePanel(container, data, previousScanId);
+
     // PDF Export Button hinzufügen
     addPdfExportButton(container, data);
   }
+
+  // ---------- Seitenübersicht mit nummerierten Markierungen ----------
+  function renderPageOverview(container, screenshots){
+    const details = el('details', { style:{ border:'1px solid #e5e7eb', borderRadius:'12px', padding:'12px 16px', margin:'24px 0', background:'#f9fafb' }});
+    details.appendChild(el('summary', { style:{ cursor:'pointer', fontWeight:'600', color:'#374151' }}, [t('overviewTitle', { count: screenshots.count })]));
+    details.appendChild(el('div', { style:{ margin:'8px 0', fontSize:'0.85rem', color:'#6b7280' }},
+      [t('overviewHint') + (screenshots.fullPage.truncated ? ' ' + t('overviewTruncated') : '')]));
+    const src = assetUrl(screenshots.fullPage.url);
+    const link = el('a', { attrs:{ href:src, target:'_blank', rel:'noopener' }});
+    link.appendChild(el('img', { attrs:{ src, alt:t('overviewAlt'), loading:'lazy' }, style:{ maxWidth:'100%', border:'1px solid #e5e7eb', borderRadius:'8px', display:'block' }}));
+    details.appendChild(link);
+    container.appendChild(details);
+  }
+
+  // ---------- Alle Fundstellen eines Problems ----------
+  // Erste Seite kommt mit dem Ergebnis, weitere über den `next`-Link der API
+  function renderOccurrences(occurrences){
+    const details = el('details', { style:{ marginTop:'12px', border:'1px solid #e5e7eb', borderRadius:'8px', padding:'8px 12px', background:'#f9fafb', fontSize:'0.85rem' }});
+    details.appendChild(el('summary', { style:{ cursor:'pointer', fontWeight:'600', color:'#374151' }}, [t('occurrencesTitle', { count: occurrences.total })]));
+    const list = el('ol', { style:{ margin:'8px 0 0 0', paddingLeft:'20px', display:'grid', gap:'10px' }});
+    const addItems = (items) => items.forEach(o => {
+      const li = el('li', {});
+      if (o.selector) li.appendChild(el('code', { style:{ display:'block', color:'#6b7280', fontSize:'0.75rem', wordBreak:'break-all' }}, [o.selector]));
+      if (o.context) {
+        li.appendChild(el('pre', { style:{ margin:'4px 0 0 0', padding:'8px', background:'#1f2937', color:'#f9fafb', borderRadius:'6px', fontSize:'0.75rem', whiteSpace:'pre-wrap', wordBreak:'break-all', maxHeight:'160px', overflow:'auto' }}, [el('code', {}, [o.context])]));
+      }
+      if (o.message) li.appendChild(el('div', { style:{ marginTop:'4px', color:'#4b5563' }}, [o.message]));
+      list.appendChild(li);
+    });
+    addItems(occurrences.items || []);
+    details.appendChild(list);
+
+    let next = occurrences.next;
+    const more = el('button', { attrs:{ type:'button' }, style:{ marginTop:'10px', padding:'6px 12px', border:'1px solid #d1d5db', borderRadius:'8px', background:'#fff', cursor:'pointer', fontSize:'0.8rem' }});
+    const rest = el('div', { style:{ marginTop:'8px', color:'#6b7280' }});
+    function update(){
+      const remaining = occurrences.total - list.children.length;
+      setText(more, t('occurrencesMore', { count: remaining }));
+      more.style.display = next && remaining > 0 ? '' : 'none';
+      // Ohne Link (z. B. Crawl-Seiten) lässt sich der Rest nicht nachladen
+      setText(rest, !next && remaining > 0 ? t('occurrencesRest', { count: remaining }) : '');
+    }
+    more.addEventListener('click', async () => {
+      more.disabled = true;
+      try {
+        const r = await fetch(assetUrl(next));
+        if (!r.ok) throw await errorFrom(r);
+        const page = await r.json();
+        addItems(page.occurrences);
+        next = page.next;
+        update();
+      } catch (e) {
+        setText(more, t('retryError', { message: e.message || e }));
+      } finally {
+        more.disabled = false;
+      }
+    });
+    update();
+    details.appendChild(more);
+    details.appendChild(rest);
+    return details;
+  }
+
+  // ---------- Unterdrückte Befunde ----------
+  // Zählen nicht in den Score, werden aber mit Begründung offen ausgewiesen
+  function renderSuppressed(container, suppressed){
+    const details = el('details', { style:{ border:'1px solid #e5e7eb', borderRadius:'12px', padding:'12px 16px', margin:'24px 0', background:'#f9fafb' }});
+    details.appendChild(el('summary', { style:{ cursor:'pointer', fontWeight:'600', color:'#374151' }}, [t('suppressedTitle', { count: suppressed.count })]));
+    const list = el('ul', { style:{ margin:'10px 0 0 0', paddingLeft:'20px', fontSize:'0.875rem', color:'#374151' }});
+    suppressed.issues.forEach(issue => {
+      const reasons = issue.rules.map(r => r.justification + (r.expiresAt ? ' ' + t('suppressedUntil', { date: new Date(r.expiresAt).toLocaleDateString(LANG) }) : '')).join('; ');
+      list.appendChild(el('li', { style:{ marginBottom:'6px' }}, [
+        el('strong', {}, [`${issue.translation?.title || issue.code} (${issue.count}×)`]),
+        el('div', { style:{ color:'#6b7280' }}, [t('justification', { text: reasons })])
+      ]));
+    });
+    details.appendChild(list);
+    container.appendChild(details);
+  }
+
+  // ---------- Vorher/Nachher ----------
+  function renderComparePanel(container, data, previousScanId){
+    const panel = el('div', { style:{ border:'1px solid #e5e7eb', borderRadius:'12px', padding:'16px', margin:'24px 0', background:'#fff' }});
+    panel.appendChild(el('h4', { style:{ margin:'0 0 6px 0', fontSize:'1rem', color:'#111827' }}, [t('compareTitle')]));
+    panel.appendChild(el('p', { style:{ margin:'0 0 10px 0', fontSize:'0.85rem', color:'#6b7280' }}, [t('compareIntro', { scanId: data.scanId })]));
+    const row = el('div', { style:{ display:'flex', gap:'8px', flexWrap:'wrap' }});
+    const idInput = el('input', { type:'text', placeholder:t('compareIdLabel'), attrs:{ 'aria-label':t('compareIdLabel') }, style:{ flex:'1', minWidth:'240px', padding:'8px 10px', border:'1px solid #d1d5db', borderRadius:'8px', fontSize:'13px' }});
+    if (previousScanId && previousScanId !== data.scanId) idInput.value = previousScanId;
+    const compareBtn = el('button', { attrs:{ type:'button' }, style:{ padding:'8px 12px', border:'0', borderRadius:'8px', cursor:'pointer', fontWeight:'600', color:'#fff', background:'#3b82f6' }}, [t('compareButton')]);
+    const out = el('div', { attrs:{ 'aria-live':'polite' }, style:{ marginTop:'12px' }});
+    compareBtn.addEventListener('click', async () => {
+      const beforeId = idInput.value.trim();
+      if (!beforeId) { setText(out, t('compareIdRequired')); idInput.focus(); return; }
+      compareBtn.disabled = true;
+      setText(out, t('comparing'));
+      try {
+        renderDiff(out, await diffScans(beforeId, data.scanId));
+      } catch (e) {
+        setText(out, t('error', { message: e.message || e }));
+      } finally {
+        compareBtn.disabled = false;
+      }
+    });
+    row.appendChild(idInput); row.appendChild(compareBtn);
+    panel.appendChild(row); panel.appendChild(out);
+    container.appendChild(panel);
+  }
+
+  function renderDiff(container, diff){
+    container.innerHTML = '';
+    const { score } = diff;
+    const delta = score.delta ?? 0;
+    const deltaColor = delta > 0 ? '#059669' : delta < 0 ? '#dc2626' : '#6b7280';
+    container.appendChild(el('div', { style:{ fontSize:'1.1rem', fontWeight:'700', marginBottom:'10px' }}, [
+      t('diffScore', { before: score.before ?? '–', after: score.after ?? '–' }) + ' ',
+      el('span', { style:{ color: deltaColor }}, [`(${delta > 0 ? '+' : ''}${delta})`])
+    ]));
+    if (!diff.sameUrl) {
+      container.appendChild(el('p', { style:{ fontSize:'0.8rem', color:'#b45309', margin:'0 0 10px 0' }}, [t('diffDifferentUrls')]));
+    }
+    const columns = el('div', { style:{ display:'grid', gridTemplateColumns:'repeat(auto-fit, minmax(200px, 1fr))', gap:'12px' }});
+    [
+      ['new', t('diffNew'), '#dc2626', '#fef2f2'],
+      ['fixed', t('diffFixed'), '#059669', '#ecfdf5'],
+      ['unchanged', t('diffUnchanged'), '#6b7280', '#f9fafb']
+    ].forEach(([key, label, color, bg]) => {
+      const groups = diff[key];
+      const list = el('ul', { style:{ margin:'6px 0 0 0', paddingLeft:'18px', fontSize:'0.85rem', color:'#374151' }});
+      groups.forEach(g => list.appendChild(el('li', {}, [`${g.title} (${Math.max(1, g.selectors.length)}×)`])));
+      columns.appendChild(el('div', { style:{ background:bg, border:`1px solid ${color}30`, borderRadius:'10px', padding:'12px' }}, [
+        el('strong', { style:{ color }}, [`${label}: ${diff.totals[key]}`]),
+        list
+      ]));
+    });
+    container.appendChild(columns);
+  }
   
+  // ---------- Profilvergleich ----------
+  // Score je Profil; darunter die Issues, die gegenüber dem Basisprofil neu sind
+  function renderProfileComparison(container, comparison){
+    const section = el('div', { style:{ border:'1px solid #e5e7eb', borderRadius:'12px', padding:'16px', marginBottom:'24px', background:'#fff' }});
+    section.appendChild(el('h4', { style:{ margin:'0 0 12px 0', fontSize:'1rem', color:'#111827' }}, [t('profilesTitle')]));
+    const grid = el('div', { style:{ display:'grid', gridTemplateColumns:'repeat(auto-fit, minmax(160px, 1fr))', gap:'12px' }});
+    const baseLabel = (comparison.profiles.find(p => p.baseline) || {}).label || comparison.baseline;
+
+    comparison.profiles.forEach(p => {
+      const color = p.gradeColor || '#6b7280';
+      const card = el('div', { style:{ border:`2px solid ${color}30`, borderRadius:'10px', padding:'12px', textAlign:'center' }}, [
+        el('div', { style:{ fontSize:'0.85rem', fontWeight:'600', color:'#374151', marginBottom:'6px' }}, [p.label]),
+        el('div', { style:{ fontSize:'1.6rem', fontWeight:'800', color }}, [p.success ? `${p.score}/100` : '–']),
+        el('div', { style:{ fontSize:'0.8rem', color:'#6b7280' }}, [
+          !p.success ? t('profileFailed') : p.baseline ? t('profileBaseline') : t('profileNewIssues', { count: p.newIssues })
+        ])
+      ]);
+      grid.appendChild(card);
+    });
+    section.appendChild(grid);
+
+    comparison.profiles.filter(p => p.success && !p.baseline && p.onlyHere.length).forEach(p => {
+      const list = el('ul', { style:{ margin:'6px 0 0 0', paddingLeft:'20px', fontSize:'0.875rem', color:'#374151' }});
+      p.onlyHere.forEach(issue => {
+        const title = issue.translation?.title || issue.message || issue.code;
+        list.appendChild(el('li', {}, [`${title} (${issue.count || 1}×)`]));
+      });
+      section.appendChild(el('div', { style:{ marginTop:'14px' }}, [
+        el('strong', { style:{ fontSize:'0.9rem' }}, [t('profileOnlyHere', { profile: p.label, baseline: baseLabel })]),
+        list
+      ]));
+    });
+    container.appendChild(section);
+  }
+
   // ---------- Details (Tabs) ----------
   function renderDetails(container, issues) {
     const detailsBtn = el('button', {
@@ -634,7 +1049,7 @@ container.appendChild(statsGrid);
     });
 
     const btnIcon = el('span', { style: { fontSize: '1.2rem' }}, ['🔍']);
-    const btnText = el('span', {}, ['Alle Details anzeigen']);
+    const btnText = el('span', {}, [t('detailsShow')]);
 
     detailsBtn.appendChild(btnIcon);
     detailsBtn.appendChild(btnText);
@@ -669,7 +1084,7 @@ container.appendChild(statsGrid);
     detailsBtn.addEventListener('click', () => {
       isOpen = !isOpen;
       detailsContainer.style.display = isOpen ? 'block' : 'none';
-      btnText.textContent = isOpen ? 'Details ausblenden' : 'Alle Details anzeigen';
+      btnText.textContent = isOpen ? t('detailsHide') : t('detailsShow');
       btnIcon.textContent = isOpen ? '❌' : '🔍';
       detailsBtn.setAttribute('aria-expanded', isOpen ? 'true' : 'false');
 
@@ -688,9 +1103,9 @@ container.appendChild(statsGrid);
     const low = issues.filter(i => i.isPriority === 'low');
 
     const tabs = [
-      { id: 'critical', label: 'Kritisch', icon: '🚨', color: '#dc2626', issues: critical },
-      { id: 'warning', label: 'Warnungen', icon: '⚠️', color: '#f59e0b', issues: warning },
-      { id: 'low', label: 'Hinweise', icon: '💡', color: '#6b7280', issues: low }
+      { id: 'critical', label: t('tabCritical'), icon: '🚨', color: '#dc2626', issues: critical },
+      { id: 'warning', label: t('tabWarning'), icon: '⚠️', color: '#f59e0b', issues: warning },
+      { id: 'low', label: t('tabLow'), icon: '💡', color: '#6b7280', issues: low }
     ].filter(t => t.issues.length);
 
     if (!tabs.length) return;
@@ -701,7 +1116,7 @@ container.appendChild(statsGrid);
 
     // Tab-Navigation
     const tabNav = el('div', {
-      attrs: { role: 'tablist', 'aria-label': 'A11y-Ergebnis-Tabs' },
+      attrs: { role: 'tablist', 'aria-label': t('tabsLabel') },
       style: {
         display: 'flex',
         background: 'linear-gradient(135deg, #f8fafc, #f1f5f9)',
@@ -824,7 +1239,7 @@ container.appendChild(statsGrid);
           flex: '1',
           marginRight: '12px'
         }
-      }, [issue.translation?.title || issue.code.replace(/^WCAG2AA\./, '')]);
+      }, [issue.translation?.title || issue.code.replace(/^WCAG2A{1,3}\./, '')]);
 
       const badge = el('span', {
         style: {
@@ -863,7 +1278,7 @@ container.appendChild(statsGrid);
           textTransform: 'uppercase',
           fontSize: '0.75rem'
         }
-      }, [issue.isPriority || '']);
+      }, [issue.isPriority ? t('priority.' + issue.isPriority) : '']);
 
       const typeBadge = el('span', {
         style: {
@@ -874,10 +1289,17 @@ container.appendChild(statsGrid);
           fontWeight: '500',
           fontSize: '0.75rem'
         }
-      }, [issue.type || '']);
+      }, [issue.type ? t('type.' + issue.type) : '']);
 
       metaRow.appendChild(priorityBadge);
       metaRow.appendChild(typeBadge);
+      if (Array.isArray(issue.runners) && issue.runners.length) {
+        const runnerNames = { htmlcs:'HTML_CodeSniffer', axe:'axe' };
+        metaRow.appendChild(el('span', { style:{
+          background:'#eef2ff', color:'#4338ca', padding:'2px 8px', borderRadius:'8px',
+          fontWeight:'500', fontSize:'0.75rem'
+        }}, [issue.runners.map(r => runnerNames[r] || r).join(' + ')]));
+      }
 
       // Beschreibung
       const description = el('p', {
@@ -887,7 +1309,7 @@ container.appendChild(statsGrid);
           fontSize: '0.95rem',
           lineHeight: '1.5'
         }
-      }, [issue.translation?.description || 'Keine Beschreibung verfügbar']);
+      }, [issue.translation?.description || t('noDescription')]);
 
       // Lösungsvorschlag
       const fixBox = el('div', {
@@ -912,7 +1334,7 @@ container.appendChild(statsGrid);
       });
 
       const lightbulb = el('span', { style: { fontSize: '1.1rem', flexShrink: '0' }}, ['💡']);
-      const fix = el('span', {}, [issue.translation?.fix || 'Siehe WCAG-Richtlinien']);
+      const fix = el('span', {}, [issue.translation?.fix || t('seeWcag')]);
 
       fixText.appendChild(lightbulb);
       fixText.appendChild(fix);
@@ -939,7 +1361,7 @@ container.appendChild(statsGrid);
             alignItems: 'center',
             gap: '6px'
           }
-        }, ['📍 Betroffene Elemente:']);
+        }, [t('affectedElements')]);
 
         const samplesList = el('div', { style: { display: 'flex', flexDirection: 'column', gap: '4px' }});
 
@@ -980,11 +1402,32 @@ container.appendChild(statsGrid);
       issueCard.appendChild(description);
       issueCard.appendChild(fixBox);
 
+      // Screenshots der Beispiel-Elemente (nur wenn beim Scan angefordert)
+      if (Array.isArray(issue.screenshots) && issue.screenshots.length) {
+        const shots = el('div', { style: { display: 'flex', flexWrap: 'wrap', gap: '8px', marginTop: '12px' }});
+        issue.screenshots.forEach(shot => {
+          const src = assetUrl(shot.url);
+          const figure = el('figure', { style: { margin: '0', maxWidth: '220px' }});
+          const link = el('a', { attrs: { href: src, target: '_blank', rel: 'noopener' }});
+          link.appendChild(el('img', {
+            attrs: { src, alt: t('markerAlt', { marker: shot.marker, selector: shot.selector }), loading: 'lazy' },
+            style: { maxWidth: '220px', maxHeight: '140px', border: '1px solid #e5e7eb', borderRadius: '6px', display: 'block' }
+          }));
+          figure.appendChild(link);
+          figure.appendChild(el('figcaption', { style: { fontSize: '0.75rem', color: '#6b7280', marginTop: '4px' }}, [t('marker', { marker: shot.marker })]));
+          shots.appendChild(figure);
+        });
+        issueCard.appendChild(shots);
+      }
+
+      if (issue.occurrences && issue.occurrences.total) issueCard.appendChild(renderOccurrences(issue.occurrences));
+
       panel.appendChild(issueCard);
     });
   }
-// PDF Export Button
+// PDF Export Button (nur für gespeicherte Scans, der Server erzeugt das PDF)
 function addPdfExportButton(container, data) {
+  if (!data.scanId) return;
   const exportBtn = el('button', {
     attrs: { type: 'button' },
     style: {
@@ -1007,7 +1450,7 @@ function addPdfExportButton(container, data) {
   });
 
   const btnIcon = el('span', { style: { fontSize: '1.1rem' }}, ['📄']);
-  const btnText = el('span', {}, ['Als PDF herunterladen']);
+  const btnText = el('span', {}, [t('pdfDownload')]);
 
   exportBtn.appendChild(btnIcon);
   exportBtn.appendChild(btnText);
@@ -1016,108 +1459,49 @@ function addPdfExportButton(container, data) {
   container.appendChild(exportBtn);
 }
 
-// PDF Export Funktion
-// PDF Export (vollständig, mit Button-Status & Fehlerbehandlung)
+// PDF Export: der Server erzeugt den Report aus dem gespeicherten Scan
+// (vollständige Issue-Liste, Score, WCAG-Index) – kein jsPDF auf der Seite nötig
 async function exportToPDF(event, data) {
   const btn = event.target.closest('button');
+  const originalContent = Array.from(btn.childNodes);
 
   try {
-    // Button-Status setzen
-    const originalText = btn.textContent;
-    btn.textContent = '🔄 Erstelle PDF...';
+    btn.textContent = t('pdfCreating');
     btn.disabled = true;
 
-    // jsPDF prüfen
-    if (!window.jspdf || !window.jspdf.jsPDF) {
-      throw new Error('jsPDF nicht gefunden. Bitte jsPDF auf der Seite laden.');
-    }
-    const { jsPDF } = window.jspdf;
-    const doc = new jsPDF();
-
-    // Header
-    doc.setFontSize(20);
-    doc.setTextColor(102, 126, 234);
-    doc.text('🔍 Barrierefreiheits-Report', 20, 25);
-
-    // URL & Datum
-    doc.setFontSize(12);
-    doc.setTextColor(107, 114, 128);
-    doc.text('Geprüfte URL: ' + (data.url || ''), 20, 35);
-    doc.text('Erstellt am: ' + new Date().toLocaleDateString('de-DE'), 20, 42);
-
-    // Score
-    doc.setFontSize(16);
-    const green = [6, 95, 70], red = [153, 27, 27];
-    const ok = (data.score ?? 0) >= 70;
-    doc.setTextColor(...(ok ? green : red));
-    doc.text('Score: ' + (data.score ?? '–') + '/100 (Note: ' + (data.grade || '–') + ')', 20, 60);
-
-    // Übersicht
-    let yPos = 80;
-    doc.setFontSize(14);
-    doc.setTextColor(31, 41, 55);
-    doc.text('📊 Übersicht', 20, yPos);
-
-    yPos += 15;
-    doc.setFontSize(12);
-    doc.text('🚨 Kritische Probleme: ' + (data.summary?.criticalCount ?? 0), 25, yPos);
-    yPos += 8;
-    doc.text('⚠️ Warnungen: ' + (data.summary?.warningCount ?? 0), 25, yPos);
-    yPos += 8;
-    doc.text('📊 Gesamt: ' + (data.summary?.total ?? 0), 25, yPos);
-
-    // Kritische Probleme (Top 10)
-    const topCritical = Array.isArray(data.summary?.topCritical) ? data.summary.topCritical : [];
-    if (topCritical.length) {
-      yPos += 20;
-      doc.setFontSize(14);
-      doc.setTextColor(153, 27, 27);
-      doc.text('🚨 Kritische Probleme', 20, yPos);
-
-      topCritical.slice(0, 10).forEach((issue, index) => {
-        yPos += 12;
-        if (yPos > 270) { doc.addPage(); yPos = 25; }
-
-        doc.setFontSize(11);
-        doc.setTextColor(31, 41, 55);
-        const title = (issue?.title || '').toString();
-        const count = issue?.count ?? 0;
-        doc.text(`${index + 1}. ${title} (${count}x)`, 25, yPos);
-
-        if (issue?.fix) {
-          yPos += 7;
-          if (yPos > 270) { doc.addPage(); yPos = 25; }
-          doc.setFontSize(9);
-          doc.setTextColor(107, 114, 128);
-          // Lange Fix-Texte umbrechen
-          const lines = doc.splitTextToSize('💡 ' + String(issue.fix), 170);
-          doc.text(lines, 30, yPos);
-          yPos += (lines.length * 5) - 5;
-        }
-      });
+    const r = await fetch(SCANS_ENDPOINT + '/' + encodeURIComponent(data.scanId) + '?format=pdf', {
+      headers: { 'Accept': 'application/pdf' }
+    });
+    if (!r.ok) {
+      const body = await r.json().catch(() => ({}));
+      throw new Error(body.error || t('pdfFailedStatus', { status: r.status }));
     }
+    const blob = await r.blob();
 
     // Datei speichern
-    const fileName = 'a11y-report-' + new Date().toISOString().split('T')[0] + '.pdf';
-    doc.save(fileName);
-
-    // Button zurücksetzen
-    btn.textContent = originalText;
-    btn.disabled = false;
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'a11y-report-' + new Date().toISOString().split('T')[0] + '.pdf';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
   } catch (error) {
     console.error('PDF Export Fehler:', error);
-    alert(error.message || 'Fehler beim Erstellen des PDFs. Bitte versuchen Sie es erneut.');
-
-    // Button wiederherstellen
-    if (btn) {
-      btn.textContent = '📄 Als PDF herunterladen';
-      btn.disabled = false;
-    }
+    alert(error.message || t('pdfFailed'));
+  } finally {
+    // Button zurücksetzen
+    btn.replaceChildren(...originalContent);
+    btn.disabled = false;
   }
 }
 
   // ---------- Boot ----------
-  function init(){ ensureOverlay(); const root = mountRoot(); root.innerHTML=''; renderForm(root); }
+  // Erst die Texte laden; schlägt das fehl, zeigt das Widget die englischen Texte
+  async function init(){
+    try { await loadStrings(); } catch (e) { console.error('A11y-Widget: Texte konnten nicht geladen werden:', e.message || e); }
+    ensureOverlay(); const root = mountRoot(); root.innerHTML=''; renderForm(root);
+  }
   if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', init); else init();
 
 })();
@@ -1,27 +1,112 @@
 import express from 'express';
 import cors from 'cors';
-import pa11y from 'pa11y';
+import helmet from 'helmet';
+import rateLimit from 'express-rate-limit';
 import fs from 'fs';
+import { createHash, timingSafeEqual } from 'crypto';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { createJobQueue, mapWithConcurrency } from './lib/job-queue.js';
+import { createBrowserPool } from './lib/browser-pool.js';
+import { createScanStore } from './lib/scan-store.js';
+import { diffReports } from './lib/scan-diff.js';
+import { createSuppressionStore } from './lib/suppressions.js';
+import { createCoverageTracker } from './lib/catalog-coverage.js';
+import { createMonitorService } from './lib/monitors.js';
+import { createAlertSender } from './lib/alerts.js';
+import { createWebhookDispatcher } from './lib/webhooks.js';
+import { crawlSite } from './lib/crawler.js';
+import { assertPublicTarget, publicDispatcher } from './lib/target-guard.js';
+import { parseAuth } from './lib/scan-auth.js';
+import { parseStates } from './lib/actions.js';
+import {
+  STANDARDS,
+  parseStandard,
+  INVALID_STANDARD_ERROR,
+  stripStandard,
+  parseRunners,
+  INVALID_RUNNERS_ERROR,
+  aggregateSiteResults,
+  pageOccurrences,
+  sliceOccurrences
+} from './lib/report.js';
+import { createAuditor, parseProfiles, INVALID_PROFILES_ERROR, stageProgress, USER_AGENT } from './lib/audit.js';
+import { ACCEPT_TYPES, CONTENT_TYPES, parseFormat, INVALID_FORMAT_ERROR, renderReport } from './lib/formats.js';
+import { LANGS, DEFAULT_LANG, parseLang, INVALID_LANG_ERROR, widgetStrings } from './lib/i18n.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// wcag-de.json laden
-let wcagDe = {};
-try {
-  wcagDe = JSON.parse(fs.readFileSync(join(__dirname, 'wcag-de.json'), 'utf8'));
-  console.log('✅ wcag-de.json geladen!');
-} catch (e) {
-  console.warn('⚠️ wcag-de.json nicht gefunden');
-}
-
 const app = express();
 const PORT = process.env.PORT || 3040;
 
-app.use(express.json({ limit: '1mb' }));
+// Hinter dem fly.io-Proxy steht die Client-IP in X-Forwarded-For
+app.set('trust proxy', Number(process.env.TRUST_PROXY ?? 1));
+
+// Security-Header; die Demo-Seite lädt nur embed.js vom eigenen Server.
+// embed.js wird auf fremden Seiten eingebunden, daher CORP „cross-origin“.
+app.use(helmet({
+  contentSecurityPolicy: {
+    directives: {
+      scriptSrc: ["'self'"],
+      connectSrc: ["'self'"]
+    }
+  },
+  crossOriginResourcePolicy: { policy: 'cross-origin' }
+}));
+
+// ===== Rate Limiting (pro IP) =====
+function createLimiter({ windowMs, limit, error }) {
+  return rateLimit({
+    windowMs,
+    limit,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    handler: (req, res, _next, options) => {
+      const retryAfterSeconds = Number(res.get('Retry-After')) || Math.ceil(options.windowMs / 1000);
+      console.warn(`[RATE-LIMIT] ${req.ip} ${req.method} ${req.path}`);
+      res.status(options.statusCode).json({ success: false, error, code: 'RATE_LIMITED', retryAfterSeconds });
+    }
+  });
+}
+
+const generalLimiter = createLimiter({
+  windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  limit: Number(process.env.RATE_LIMIT_MAX) || 300,
+  error: 'Zu viele Anfragen. Bitte warten Sie einen Moment und versuchen Sie es erneut.'
+});
+// Strenger für alles, was Chromium startet
+const scanLimiter = createLimiter({
+  windowMs: Number(process.env.RATE_LIMIT_SCAN_WINDOW_MS) || 15 * 60 * 1000,
+  limit: Number(process.env.RATE_LIMIT_SCAN_MAX) || 10,
+  error: 'Zu viele Analysen in kurzer Zeit. Bitte versuchen Sie es später erneut.'
+});
+
+// ===== Zugriffsschutz (Admin-Token) =====
+// Verwaltende Endpunkte verlangen `Authorization: Bearer <ADMIN_TOKEN>`.
+// Ist ADMIN_TOKEN nicht gesetzt, bleiben sie gesperrt.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+if (!ADMIN_TOKEN) console.warn('⚠️ ADMIN_TOKEN nicht gesetzt – Verwaltungs-Endpunkte sind gesperrt');
+
+// Vergleich über Hashes: gleiche Länge für timingSafeEqual, keine Rückschlüsse aus der Laufzeit
+const tokenDigest = (value) => createHash('sha256').update(value).digest();
+function isAdmin(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return Boolean(ADMIN_TOKEN && match) && timingSafeEqual(tokenDigest(match[1]), tokenDigest(ADMIN_TOKEN));
+}
+
+function requireAdmin(req, res, next) {
+  if (isAdmin(req)) return next();
+  if (!ADMIN_TOKEN) {
+    return res.status(503).json({ success: false, error: 'Dieser Endpunkt ist deaktiviert (ADMIN_TOKEN nicht gesetzt).', code: 'ADMIN_DISABLED' });
+  }
+  res.status(401).set('WWW-Authenticate', 'Bearer')
+    .json({ success: false, error: 'Anmeldung erforderlich (Authorization: Bearer <ADMIN_TOKEN>).', code: 'UNAUTHORIZED' });
+}
+
 app.use(cors());
+app.use(generalLimiter);
+app.use(express.json({ limit: '1mb' }));
 app.use(express.static(join(__dirname, 'public')));
 
 
@@ -45,321 +130,981 @@ const enforceHttps = (url) => {
   }
 };
 
-// ===== Report-Verarbeitung (dedupliziert, übersetzt, priorisiert) =====
-function processAndCleanIssues(issues) {
-  const criticalPatterns = [
-    'H25.2',        // Page title
-    'G18.Fail',     // Color contrast
-    'F77',          // Duplicate IDs
-    'H32.2',        // Form submit
-    '2_4_4.H77',    // Link text
-    '3_3_1',        // Form errors
-    '3_3_2',        // Required fields
-    '4_1_1'         // Valid HTML
-  ];
-  const warningPatterns = [
-    'H67.1', 'G149', 'G141', '1_4_4', '2_4_1', '2_4_7'
-  ];
-
-  const translations = {
-    'WCAG2AA.Principle2.Guideline2_4.2_4_2.H25.2': {
-      title: 'Seitentitel fehlt oder unbrauchbar',
-      description: 'Der Seitentitel ist leer, zu allgemein oder nicht aussagekräftig.',
-      fix: 'Eindeutige, beschreibende Titel für alle Seiten hinzufügen'
-    },
-    'WCAG2AA.Principle2.Guideline2_4.2_4_4.H77': {
-      title: 'Linktexte sind nicht aussagekräftig',
-      description: 'Links mit Texten wie "Hier klicken", "Mehr" oder "Link" sind nicht aussagekräftig.',
-      fix: '"Hier klicken" durch beschreibende Texte ersetzen: "Zur Produktseite", "Kontakt aufnehmen"'
-    },
-    'WCAG2AA.Principle1.Guideline1_4.1_4_3.G18.Fail': {
-      title: 'Kontrast zu niedrig',
-      description: 'Text- und Hintergrundfarben haben weniger als 4,5:1 Kontrast.',
-      fix: 'Farben anpassen: Dunkler Text auf hellem Hintergrund oder umgekehrt'
-    },
-    'WCAG2AA.Principle4.Guideline4_1.4_1_1.F77': {
-      title: 'Doppelte IDs gefunden',
-      description: 'Mehrere HTML-Elemente haben die gleiche ID.',
-      fix: 'Jede ID nur einmal pro Seite verwenden – IDs müssen eindeutig sein'
-    },
-    'WCAG2AA.Principle3.Guideline3_2.3_2_2.H32.2': {
-      title: 'Formulare ohne Submit-Button',
-      description: 'Formulare haben keinen Absende-Button.',
-      fix: '<button type="submit">Absenden</button> zu allen Formularen hinzufügen'
-    },
-    'WCAG2AA.Principle3.Guideline3_3.3_3_1.G83': {
-      title: 'Fehlermeldungen fehlen',
-      description: 'Formulare zeigen keine klaren Fehlermeldungen.',
-      fix: 'Verständliche Fehlermeldungen hinzufügen: "Bitte E-Mail-Adresse eingeben"'
-    },
-    'WCAG2AA.Principle3.Guideline3_3.3_3_2.G131': {
-      title: 'Pflichtfelder nicht gekennzeichnet',
-      description: 'Erforderliche Formularfelder sind nicht erkennbar.',
-      fix: 'Pflichtfelder mit * markieren und "Pflichtfeld" Label hinzufügen'
-    },
-    'WCAG2AA.Principle1.Guideline1_1.1_1_1.H67.1': {
-      title: 'Problematische Bild-Attribute',
-      description: 'Bilder mit leerem alt-Text haben trotzdem einen title.',
-      fix: 'Entweder title-Attribut entfernen oder sinnvollen alt-Text hinzufügen'
-    },
-    'WCAG2AA.Principle1.Guideline1_1.1_1_1.G94.Image': {
-      title: 'Bilder ohne Alt-Text',
-      description: 'Informative Bilder haben keinen Alternativtext.',
-      fix: 'Alt-Text hinzufügen: <img src="logo.jpg" alt="Firmenlogo ReguKit">'
-    },
-    'WCAG2AA.Principle2.Guideline2_4.2_4_7.G149': {
-      title: 'Fokus nicht sichtbar',
-      description: 'Keyboard-Navigation zeigt nicht welches Element aktiv ist.',
-      fix: 'CSS hinzufügen: :focus { outline: 2px solid #0066cc; border-radius: 2px; }'
-    },
-    'WCAG2AA.Principle1.Guideline1_3.1_3_1_A.G141': {
-      title: 'Falsche Überschriften-Struktur',
-      description: 'Überschriften-Hierarchie ist unlogisch.',
-      fix: 'Überschriften korrekt verschachteln: H1 → H2 → H3 (nicht H1 → H3)'
-    },
-    'WCAG2AA.Principle1.Guideline1_4.1_4_4.G142': {
-      title: 'Text nicht skalierbar',
-      description: 'Text kann nicht auf 200% vergrößert werden.',
-      fix: 'Relative Einheiten verwenden (em, rem) statt fester Pixel'
-    },
-    'WCAG2AA.Principle1.Guideline1_3.1_3_1.H42': {
-      title: 'Falsche Überschriften-Tags',
-      description: 'Text sieht aus wie Überschrift, verwendet aber falsche HTML-Tags.',
-      fix: 'Richtige Überschriften-Tags verwenden: <h2>…</h2> statt <p><strong>…</strong></p>'
-    },
-    'WCAG2AA.Principle2.Guideline2_4.2_4_1.G1': {
-      title: 'Keine Skip-Links',
-      description: 'Navigation kann nicht übersprungen werden.',
-      fix: 'Skip-Link hinzufügen: <a href="#main">Zum Hauptinhalt springen</a>'
-    },
-    'WCAG2AA.Principle4.Guideline4_1.4_1_2.H91.A.Placeholder': {
-      title: 'Links ohne Text',
-      description: 'Links haben keinen erkennbaren Text oder Beschreibung.',
-      fix: 'Linktext hinzufügen oder aria-label verwenden'
-    },
-    'WCAG2AA.Principle1.Guideline1_1.1_1_1.H67.2': {
-      title: 'Dekorative Bilder falsch markiert',
-      description: 'Schmuckbilder haben unnötigen title-Text.',
-      fix: 'Nur alt="" für Schmuckbilder, kein title-Attribut'
-    },
-    'WCAG2AA.Principle1.Guideline1_4.1_4_2.F23': {
-      title: 'Horizontales Scrollen bei Zoom',
-      description: 'Bei 200% Zoom muss horizontal gescrollt werden.',
-      fix: 'Responsive Design verwenden (flexible Layouts, max-width:100%)'
-    },
-    'WCAG2AA.Principle1.Guideline1_3.1_3_1.H48': {
-      title: 'Listen falsch strukturiert',
-      description: 'Aufzählungen verwenden keine korrekten Listen-Tags.',
-      fix: 'Richtige Listen verwenden: <ul><li>…</li></ul>'
-    },
-    'WCAG2AA.Principle2.Guideline2_4.2_4_6.G130': {
-      title: 'Aktuelle Position nicht hervorgehoben',
-      description: 'Nutzer wissen nicht, wo sie sich befinden.',
-      fix: 'Breadcrumbs oder aktive Navigation markieren'
-    },
-    'WCAG2AA.Principle3.Guideline3_1.3_1_2.H58': {
-      title: 'Sprachangaben fehlen',
-      description: 'Fremdsprachige Texte sind nicht markiert.',
-      fix: 'Lang-Attribut hinzufügen: <span lang="en">Hello World</span>'
-    },
-    'WCAG2AA.Principle2.Guideline2_4.2_4_1.G1,G123,G124.NoSuchID': {
-      title: 'Link verweist auf nicht existierende Anker-ID',
-      description: 'Links zeigen auf Ziele, die nicht vorhanden sind.',
-      fix: 'Anker-Links (#section1) reparieren oder entfernen'
-    },
-    'WCAG2AA.Principle2.Guideline2_4.2_4_6.G130,G131': {
-      title: 'Keine Orientierungshilfe',
-      description: 'Nutzer wissen nicht, wo sie sich befinden.',
-      fix: 'Breadcrumb-Navigation hinzufügen: Home > Kategorie > Seite'
-    },
-    'WCAG2AA.Principle3.Guideline3_3.3_3_4.G98,G99,G155,G164,G168.LegalForms': {
-      title: 'Bestätigungsschritte fehlen (rechtlich verbindlich)',
-      description: 'Wichtige Formulare haben keine Bestätigung.',
-      fix: 'Bestätigungsseite hinzufügen: "Sind Sie sicher? [Ja] [Nein]"'
-    },
-    'WCAG2AA.Principle1.Guideline1_4.1_4_10.C32,C31,C33,C38,SCR34,G206': {
-      title: 'Zoom wird behindert',
-      description: 'Website kann nicht richtig gezoomt werden.',
-      fix: 'Viewport korrekt setzen: <meta name="viewport" content="width=device-width, initial-scale=1">'
-    },
-    'WCAG2AA.Principle1.Guideline1_1.1_1_1.G73,G74': {
-      title: 'Komplexe Bilder ohne ausführliche Beschreibung',
-      description: 'Diagramme/Charts haben nur kurzen alt-Text.',
-      fix: 'Ausführliche Beschreibung daneben oder via aria-describedby'
-    },
-    'WCAG2AA.Principle1.Guideline1_4.1_4_3.G145.Fail': {
-      title: 'Kontrast zu niedrig (große Schrift)',
-      description: 'Große Schrift hat weniger als 3:1 Kontrast.',
-      fix: 'Kontrast für große Texte (18pt+) auf mind. 3:1 erhöhen'
-    }
-  };
+// ===== Browser-Pool =====
+const browserPool = createBrowserPool({
+  launchOptions: { args: ['--no-sandbox', '--disable-setuid-sandbox'], ignoreHTTPSErrors: true },
+  maxPages: Number(process.env.BROWSER_MAX_PAGES) || 2,
+  maxWaiting: Number(process.env.BROWSER_MAX_WAITING) || 10,
+  recycleAfter: Number(process.env.BROWSER_RECYCLE_AFTER) || 50,
+  acquireTimeoutMs: Number(process.env.BROWSER_ACQUIRE_TIMEOUT_MS) || 60000
+});
 
-  const grouped = {};
-  for (const issue of issues) {
-    const key = issue.code || 'unknown';
-    if (!grouped[key]) {
-      grouped[key] = {
-        code: key,
-        type: issue.type,
-        count: 0,
-        messages: new Set(),
-        selectors: new Set(),
-        isPriority: 'low'
-      };
-      if (criticalPatterns.some(p => key.includes(p))) grouped[key].isPriority = 'critical';
-      else if (warningPatterns.some(p => key.includes(p))) grouped[key].isPriority = 'warning';
-
-      const germanText = wcagDe[key] || translations[key]?.description || 'Unbekanntes Problem';
-      grouped[key].translation = {
-        title:
-          translations[key]?.title ||
-          (germanText && germanText.length > 10
-            ? germanText.split('.')[0]
-            : key.replace(/^WCAG2AA\./, '').replace(/Principle\d\.Guideline\d_\d\.\d_\d_\d\./, '')),
-        description: germanText,
-        fix: translations[key]?.fix || 'Siehe WCAG-Richtlinien'
-      };
-    }
-    grouped[key].count++;
-    if (issue.message) grouped[key].messages.add(issue.message.trim());
-    if (issue.selector) grouped[key].selectors.add(issue.selector);
-  }
-
-  return Object.values(grouped)
-    .map(g => ({
-      ...g,
-      messages: Array.from(g.messages),
-      samples: Array.from(g.selectors).slice(0, 3)
-    }))
-    .sort((a, b) => {
-      const order = { critical: 0, warning: 1, low: 2 };
-      const prio = order[a.isPriority] - order[b.isPriority];
-      return prio !== 0 ? prio : b.count - a.count;
-    });
+// Höchstzahl der Zustände je Scan (siehe runStateAudit in lib/audit.js)
+const STATES_MAX = Number(process.env.STATES_MAX) || 10;
+
+// Screenshots der Beispiel-Elemente (lib/screenshots.js); mehr als die 3 `samples`
+// je Problem gibt es nicht
+const SCREENSHOTS_MAX_PER_ISSUE = Math.min(Number(process.env.SCREENSHOTS_MAX_PER_ISSUE) || 3, 3);
+const SCREENSHOTS_MAX_TOTAL = Number(process.env.SCREENSHOTS_MAX_TOTAL) || 30;
+
+// ===== Scan-Queue =====
+const scanQueue = createJobQueue({
+  concurrency: Number(process.env.SCAN_CONCURRENCY) || Number(process.env.BROWSER_MAX_PAGES) || 2,
+  maxQueued: Number(process.env.SCAN_QUEUE_MAX) || 20,
+  retentionMs: Number(process.env.JOB_RETENTION_MS) || 60 * 60 * 1000
+});
+
+// ===== Scan-Verlauf =====
+const DATA_DIR = process.env.DATA_DIR || join(__dirname, 'data');
+const scanStore = createScanStore({
+  dir: join(DATA_DIR, 'scans'),
+  retentionMs: (Number(process.env.SCAN_RETENTION_DAYS) || 90) * 24 * 60 * 60 * 1000,
+  maxEntries: Number(process.env.SCAN_STORE_MAX) || 5000
+});
+await scanStore.init();
+
+const suppressionStore = createSuppressionStore({ file: join(DATA_DIR, 'suppressions.json') });
+await suppressionStore.init();
+const suppressionsFor = (url) => suppressionStore.matcherFor(url, { normalizeCode: stripStandard });
+
+// Codes ohne Katalogeintrag (locales/issues.json) aus allen Prüfungen
+const catalogCoverage = createCoverageTracker({ file: join(DATA_DIR, 'unmapped-codes.json') });
+await catalogCoverage.init();
+
+// Analyse-Pipeline (lib/audit.js) mit SSRF-Schutz, den Unterdrückungsregeln und der Katalog-Abdeckung
+const { runA11yCheck, runStateAudit, runProfileComparison } = createAuditor({ pool: browserPool, suppressionsFor, onIssues: catalogCoverage.record });
+
+// ===== Screenshots =====
+// `screenshots: true` oder `{ perIssue: n }`; null ohne Screenshots, wirft bei ungültigem Wert
+function parseScreenshots(value) {
+  if (value == null || value === false) return null;
+  if (value === true) return { perIssue: SCREENSHOTS_MAX_PER_ISSUE, maxTotal: SCREENSHOTS_MAX_TOTAL };
+  const perIssue = value?.perIssue ?? SCREENSHOTS_MAX_PER_ISSUE;
+  if (typeof value !== 'object' || Array.isArray(value) || !Number.isInteger(perIssue) || perIssue < 1 || perIssue > SCREENSHOTS_MAX_PER_ISSUE) {
+    const err = new Error(`"screenshots" muss true oder { "perIssue": 1–${SCREENSHOTS_MAX_PER_ISSUE} } sein.`);
+    err.code = 'INVALID_SCREENSHOTS';
+    err.status = 400;
+    throw err;
+  }
+  return { perIssue, maxTotal: SCREENSHOTS_MAX_TOTAL };
 }
 
-// Score
-function calculateDetailedScore({ errors, warnings, notices }) {
-  const errorPenalty = Math.min(60, errors * 10);
-  const warningPenalty = Math.min(25, warnings * 3);
-  const noticePenalty = Math.min(15, notices * 1);
-  const totalPenalty = errorPenalty + warningPenalty + noticePenalty;
-  const score = Math.max(0, 100 - totalPenalty);
-
-  let grade = 'F';
-  let gradeColor = '#dc2626';
-  if (score >= 95) { grade = 'A+'; gradeColor = '#059669'; }
-  else if (score >= 90) { grade = 'A'; gradeColor = '#10b981'; }
-  else if (score >= 80) { grade = 'B'; gradeColor = '#84cc16'; }
-  else if (score >= 70) { grade = 'C'; gradeColor = '#eab308'; }
-  else if (score >= 60) { grade = 'D'; gradeColor = '#f59e0b'; }
+// Gespeichert werden nur Dateinamen; die URLs kommen erst in der Antwort dazu
+const screenshotUrl = (scanId, file) => `/api/scans/${scanId}/screenshots/${file}`;
 
+function withScreenshotUrls(scanId, report) {
+  if (!report.screenshots) return report;
+  const link = (shot) => ({ ...shot, url: screenshotUrl(scanId, shot.file) });
+  const { fullPage } = report.screenshots;
   return {
-    score, grade, gradeColor,
-    breakdown: { errorPenalty, warningPenalty, noticePenalty, totalPenalty },
-    assessment: getScoreAssessment(score)
+    ...report,
+    issues: report.issues.map(issue => (issue.screenshots ? { ...issue, screenshots: issue.screenshots.map(link) } : issue)),
+    screenshots: { ...report.screenshots, ...(fullPage && { fullPage: link(fullPage) }) }
   };
 }
-function getScoreAssessment(score) {
-  if (score >= 90) return 'Hervorragend - Kleine Optimierungen möglich';
-  if (score >= 80) return 'Gut - Wenige Verbesserungen nötig';
-  if (score >= 70) return 'Befriedigend - Mehrere Probleme beheben';
-  if (score >= 60) return 'Ausreichend - Wichtige Mängel vorhanden';
-  if (score >= 40) return 'Mangelhaft - Viele kritische Probleme';
-  return 'Kritisch - Sofortiger Handlungsbedarf!';
+
+// Ohne gespeicherten Scan gibt es keine abrufbaren Bilder
+function withoutScreenshots(report) {
+  if (!report.screenshots) return report;
+  const { screenshots, ...rest } = report;
+  return {
+    ...rest,
+    issues: rest.issues.map(({ screenshots: _shots, ...issue }) => issue)
+  };
+}
+
+// ===== Fundstellen =====
+// Gespeichert werden alle Fundstellen je Problem; Antworten enthalten die ersten
+// OCCURRENCES_PREVIEW, der Rest kommt seitenweise über den `next`-Link.
+const OCCURRENCES_PREVIEW = Number(process.env.OCCURRENCES_PREVIEW) || 20;
+const OCCURRENCES_PAGE = 50;
+const OCCURRENCES_PAGE_MAX = 200;
+
+const occurrencesUrl = (scanId, code, { offset, limit, suppressed = false }) =>
+  `/api/scans/${scanId}/issues/${encodeURIComponent(code)}/occurrences?offset=${offset}&limit=${limit}${suppressed ? '&suppressed=true' : ''}`;
+
+// Antwortform eines gespeicherten Scans: Screenshot-URLs und erste Seite der Fundstellen
+function presentScan(scanId, report) {
+  const link = (code, { suppressed }) => occurrencesUrl(scanId, code, { offset: OCCURRENCES_PREVIEW, limit: OCCURRENCES_PAGE, suppressed });
+  return pageOccurrences(withScreenshotUrls(scanId, report), { limit: OCCURRENCES_PREVIEW, link });
+}
+
+// Speichert das Ergebnis (samt Screenshots) und ergänzt `scanId`;
+// ein Speicherfehler lässt den Scan nicht scheitern
+async function storeScan(result, kind = 'scan') {
+  const { files = [], ...screenshots } = result.screenshots || {};
+  const report = result.screenshots ? { ...result, screenshots } : result;
+  try {
+    // Scans mit Zugangsdaten oder eingefügtem HTML erscheinen in keiner Liste
+    const { id } = await scanStore.save(report, { kind, files, unlisted: Boolean(report.auth || report.source) });
+    return presentScan(id, { scanId: id, ...report });
+  } catch (err) {
+    console.error('[SCAN-STORE] Scan konnte nicht gespeichert werden:', err.message);
+    return pageOccurrences(withoutScreenshots(report));
+  }
+}
+
+// ===== Rückmeldung per callbackUrl =====
+const webhooks = createWebhookDispatcher({
+  secret: process.env.WEBHOOK_SECRET,
+  checkUrl: assertPublicTarget,
+  dispatcher: publicDispatcher,
+  userAgent: USER_AGENT,
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  baseDelayMs: Number(process.env.WEBHOOK_RETRY_BASE_MS) || 5000
+});
+
+function callbackError(message, code = 'INVALID_CALLBACK') {
+  const err = new Error(message);
+  err.code = code;
+  err.status = 400;
+  return err;
+}
+
+// Liefert die geprüfte callbackUrl oder null; wirft bei ungültigem/internem Ziel
+async function parseCallbackUrl(value) {
+  if (value == null || value === '') return null;
+  if (!process.env.WEBHOOK_SECRET) {
+    throw callbackError('callbackUrl ist nicht verfügbar: Auf dem Server ist kein WEBHOOK_SECRET gesetzt.', 'CALLBACK_DISABLED');
+  }
+  if (typeof value !== 'string' || !isValidUrl(value)) throw callbackError('callbackUrl muss eine http(s)-URL sein.');
+  await assertPublicTarget(value);
+  return value;
+}
+
+const callbackMeta = (callbackUrl) => (callbackUrl ? { callback: { url: callbackUrl, deliveryId: null } } : {});
+
+// Nach Abschluss (oder Fehler) den Job-Status an die callbackUrl senden
+function notifyOnCompletion(job) {
+  const { callback } = job.meta;
+  if (!callback) return;
+  job.done.then(() => {
+    const event = `${job.meta.kind}.${job.status === 'done' ? 'completed' : 'failed'}`;
+    const delivery = webhooks.deliver(callback.url, event, { event, ...describeJob(job) }, { jobId: job.id });
+    callback.deliveryId = delivery.id;
+  });
 }
 
-// Zusammenfassung
-function generateSummary(processedIssues) {
-  const criticalIssues = processedIssues.filter(i => i.isPriority === 'critical');
-  const warningIssues = processedIssues.filter(i => i.isPriority === 'warning');
+function analysisError(err, job) {
   return {
-    total: processedIssues.length,
-    criticalCount: criticalIssues.length,
-    warningCount: warningIssues.length,
-    topCritical: criticalIssues.slice(0, 3).map(i => ({
-      title: i.translation?.title || i.code.replace(/^WCAG2AA\./, ''),
-      count: i.count,
-      fix: i.translation?.fix || 'Siehe WCAG-Richtlinien'
-    })),
-    quickWins: getQuickWins(criticalIssues)
+    success: false,
+    error: `Analyse fehlgeschlagen: ${err.name} – ${err.message}`,
+    code: err.code,
+    timestamp: new Date(job.finishedAt || Date.now()).toISOString(),
+    analysisTimeMs: (job.finishedAt || Date.now()) - (job.startedAt || job.createdAt)
   };
 }
-function getQuickWins(criticalIssues) {
-  const quickWinCodes = ['H25.2', 'F77', 'H32.2'];
-  return criticalIssues
-    .filter(issue => quickWinCodes.some(code => issue.code.includes(code)))
-    .map(issue => issue.translation?.title || issue.code)
-    .slice(0, 3);
+
+function describeJob(job) {
+  const body = {
+    success: job.status !== 'failed',
+    jobId: job.id,
+    status: job.status,
+    createdAt: new Date(job.createdAt).toISOString(),
+    startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    progress: job.progress
+  };
+  if (job.status === 'queued') body.position = scanQueue.position(job);
+  if (job.status === 'done') body.result = job.result;
+  if (job.status === 'failed') {
+    body.error = analysisError(job.error, job).error;
+    body.code = job.error.code;
+  }
+  if (job.meta.callback) {
+    const { url, deliveryId } = job.meta.callback;
+    body.callback = { url, deliveryId, status: deliveryId ? webhooks.get(deliveryId)?.status ?? null : 'waiting' };
+  }
+  return body;
+}
+
+// Async-Modus per Body-Flag oder „Prefer: respond-async“
+const wantsAsync = (req) =>
+  req.body?.async === true || /\brespond-async\b/i.test(req.get('Prefer') || '');
+
+// ===== Ausgabeformate (JSON, JUnit, SARIF) =====
+// `format` (Query oder Body) hat Vorrang vor dem Accept-Header; ohne passenden
+// Accept-Typ bleibt es bei JSON. null bei ungültigem `format`.
+function responseFormat(req) {
+  const requested = req.query.format ?? req.body?.format;
+  if (requested != null) return parseFormat(requested);
+  return ACCEPT_TYPES[req.accepts(Object.keys(ACCEPT_TYPES))] || 'json';
+}
+
+// ===== Sprache der Berichte =====
+// `lang` (Query oder Body) hat Vorrang vor Accept-Language; ohne passende
+// Sprache bleibt es bei Deutsch. null bei ungültigem `lang`.
+function reportLang(req) {
+  const requested = req.query.lang ?? req.body?.lang;
+  if (requested != null) return parseLang(requested);
+  return req.acceptsLanguages(...LANGS) || DEFAULT_LANG;
+}
+
+// Gespeicherte Scans (`scanId`) bringen ihre Screenshots ins PDF mit
+async function sendReport(res, format, report, status = 200) {
+  if (format === 'json') return res.status(status).json(report);
+  const loadScreenshot = report.scanId ? (file) => scanStore.getFile(report.scanId, file) : undefined;
+  let body;
+  try {
+    body = await renderReport(report, format, { loadScreenshot });
+  } catch (err) {
+    console.error(`[A11Y-CHECK] Report als ${format} fehlgeschlagen:`, err.message);
+    return res.status(500).json({ success: false, error: `Report konnte nicht als ${format} erzeugt werden.` });
+  }
+  if (format === 'pdf') res.attachment(`a11y-report-${(report.timestamp || new Date().toISOString()).slice(0, 10)}.pdf`);
+  res.status(status).type(CONTENT_TYPES[format]).send(body);
 }
 
 // ===== API =====
-app.post('/api/a11y-check', async (req, res) => {
+app.post('/api/a11y-check', scanLimiter, async (req, res) => {
+  // Entweder `url` oder `html` (+ optional `baseUrl`)
+  let { url, html, baseUrl } = req.body || {};
+  if (html != null) {
+    if (typeof html !== 'string' || !html.trim()) {
+      return res.status(400).json({ success: false, error: 'Bitte HTML-Quelltext angeben.' });
+    }
+    if (baseUrl != null && !isValidUrl(baseUrl)) {
+      return res.status(400).json({ success: false, error: 'Die Basis-URL muss mit http(s) beginnen.' });
+    }
+    url = baseUrl || null;
+  } else if (!url || !isValidUrl(url)) {
+    return res.status(400).json({ success: false, error: 'Bitte eine gültige URL mit http(s) angeben.' });
+  }
+  const standard = parseStandard(req.body.standard);
+  if (!standard) {
+    return res.status(400).json({ success: false, error: INVALID_STANDARD_ERROR });
+  }
+  const runners = parseRunners(req.body.runners);
+  if (!runners) {
+    return res.status(400).json({ success: false, error: INVALID_RUNNERS_ERROR });
+  }
+  const profiles = parseProfiles(req.body.profile);
+  if (!profiles) {
+    return res.status(400).json({ success: false, error: INVALID_PROFILES_ERROR });
+  }
+  const format = responseFormat(req);
+  if (!format) {
+    return res.status(400).json({ success: false, error: INVALID_FORMAT_ERROR });
+  }
+  const lang = reportLang(req);
+  if (!lang) {
+    return res.status(400).json({ success: false, error: INVALID_LANG_ERROR });
+  }
+  if (url) {
+    url = enforceHttps(url);
+    try {
+      await assertPublicTarget(url);
+    } catch (err) {
+      console.warn(`[A11Y-CHECK] Ziel abgelehnt (${err.code}): ${url}`);
+      return res.status(err.status).json({ success: false, error: err.message, code: err.code });
+    }
+  }
+  // Zugangsdaten nur für echte URLs; Fehlermeldungen nennen nie die Werte
+  let auth = null;
+  if (req.body.auth != null) {
+    if (html != null) {
+      return res.status(400).json({ success: false, error: 'Zugangsdaten sind nur bei der Prüfung einer URL möglich.', code: 'INVALID_AUTH' });
+    }
+    try {
+      auth = parseAuth(req.body.auth, url, { isValidUrl, normalizeUrl: enforceHttps });
+      if (auth.loginUrl) await assertPublicTarget(auth.loginUrl);
+    } catch (err) {
+      return res.status(err.status || 400).json({ success: false, error: err.message, code: err.code });
+    }
+  }
+  let callbackUrl;
+  try {
+    callbackUrl = await parseCallbackUrl(req.body.callbackUrl);
+  } catch (err) {
+    return res.status(err.status || 400).json({ success: false, error: err.message, code: err.code });
+  }
+  // Optional: benannte Zustände, die nach Interaktionen zusätzlich geprüft werden
+  let states = null;
+  if (req.body.states != null) {
+    if (profiles.length > 1) {
+      return res.status(400).json({ success: false, error: 'Zustände lassen sich nur mit einem einzelnen Profil prüfen.' });
+    }
+    try {
+      states = parseStates(req.body.states, { maxStates: STATES_MAX });
+    } catch (err) {
+      return res.status(err.status || 400).json({ success: false, error: err.message, code: err.code });
+    }
+  }
+  // Optional: Screenshots der betroffenen Elemente (nur Einzelscan)
+  let screenshots;
+  try {
+    screenshots = parseScreenshots(req.body.screenshots);
+  } catch (err) {
+    return res.status(err.status).json({ success: false, error: err.message, code: err.code });
+  }
+  if (screenshots && (states || profiles.length > 1)) {
+    return res.status(400).json({ success: false, error: 'Screenshots sind nur bei einem einzelnen Profil ohne Zustände möglich.', code: 'INVALID_SCREENSHOTS' });
+  }
+  const [profile] = profiles;
+  const startScan = (job) => {
+    if (states) return runStateAudit(job, { url, html, auth, profile, standard, runners, lang, states });
+    if (profiles.length > 1) return runProfileComparison(job, { url, html, auth, profiles, standard, runners, lang });
+    const onProgress = (stage) => job.setProgress(stageProgress(stage));
+    return runA11yCheck(url, { html, auth, profile, standard, runners, lang, screenshots, onProgress });
+  };
+  const target = html != null ? `HTML-Snippet (${Buffer.byteLength(html)} Bytes${url ? `, Basis ${url}` : ''})` : url;
+
+  let job;
+  try {
+    job = scanQueue.submit((job) => {
+      console.log(`[A11Y-CHECK] Starte Analyse für: ${target} [${profiles.join(', ')}]${auth ? ' (mit Anmeldung)' : ''}${states ? ` (${states.length} Zustände)` : ''}`);
+      return startScan(job).then(storeScan, err => {
+        console.error('[A11Y-CHECK] Fehler bei Analyse:', err.name, err.message);
+        throw err;
+      });
+    }, { kind: 'scan', url, ...callbackMeta(callbackUrl) });
+  } catch (err) {
+    console.warn(`[A11Y-CHECK] Abgelehnt (${err.code}): ${target}`);
+    return res.status(err.status || 503).json({ success: false, error: err.message, code: err.code });
+  }
+  notifyOnCompletion(job);
+  job.setProgress(stageProgress('validated'));
+
+  if (wantsAsync(req)) {
+    console.log(`[A11Y-CHECK] Job ${job.id} eingereiht für: ${target}`);
+    return res.status(202)
+      .location(`/api/a11y-check/${job.id}`)
+      .json(describeJob(job));
+  }
+
+  await job.done;
+  if (job.status === 'done') return sendReport(res, format, job.result);
+  sendReport(res, format, { url, ...analysisError(job.error, job) }, job.error.status || 500);
+});
+
+// Job nachschlagen; Jobs anderer Art (z. B. Crawl) gelten als nicht gefunden
+function findJob(kind, req, res) {
+  const job = scanQueue.get(req.params.jobId);
+  if (!job || job.meta.kind !== kind) {
+    res.status(404).json({ success: false, error: 'Job nicht gefunden oder abgelaufen.' });
+    return null;
+  }
+  return job;
+}
+
+// Abgeschlossene Jobs auf Wunsch als JUnit/SARIF; solange sie laufen, immer der JSON-Status
+const sendJobStatus = (kind) => (req, res) => {
+  const format = responseFormat(req);
+  if (!format) {
+    return res.status(400).json({ success: false, error: INVALID_FORMAT_ERROR });
+  }
+  const job = findJob(kind, req, res);
+  if (!job) return;
+  if (format !== 'json' && job.status === 'done') return sendReport(res, format, job.result);
+  if (format !== 'json' && job.status === 'failed') {
+    return sendReport(res, format, { url: job.meta.url, ...analysisError(job.error, job) });
+  }
+  res.json(describeJob(job));
+};
+
+// Fortschritt als Server-Sent Events: 'progress' je Stufe, am Ende 'done' oder 'failed'
+const streamJobEvents = (kind) => (req, res) => {
+  const job = findJob(kind, req, res);
+  if (!job) return;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const onProgress = (progress) => send('progress', progress);
+  const onEnd = () => {
+    const body = describeJob(job);
+    send(job.status === 'done' ? 'done' : 'failed', body);
+    cleanup();
+    res.end();
+  };
+  // Kommentarzeilen halten die Verbindung hinter Proxys offen
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    job.events.off('progress', onProgress);
+    job.events.off('end', onEnd);
+  };
+
+  if (job.progress) onProgress(job.progress);
+  if (job.finishedAt) return onEnd();
+  job.events.on('progress', onProgress);
+  job.events.on('end', onEnd);
+  req.on('close', cleanup);
+};
+
+app.get('/api/a11y-check/:jobId', sendJobStatus('scan'));
+app.get('/api/a11y-check/:jobId/events', streamJobEvents('scan'));
+
+// ===== Website-Crawl =====
+const CRAWL_MAX_PAGES = Number(process.env.CRAWL_MAX_PAGES) || 50;
+const CRAWL_MAX_DEPTH = Number(process.env.CRAWL_MAX_DEPTH) || 5;
+
+const clampInt = (value, fallback, max) => {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, max) : Math.min(fallback, max);
+};
+const isStringList = (v) => v === undefined || (Array.isArray(v) && v.every(p => typeof p === 'string'));
+
+async function runSiteCrawl(job, { url, standard, runners, lang, maxPages, maxDepth, include, exclude }) {
   const startTime = Date.now();
-  let { url } = req.body || {};
+  job.setProgress({ stage: 'discovering', percent: 0, label: 'Sitemap wird gesucht' });
+  const crawl = await crawlSite({
+    startUrl: url,
+    maxPages,
+    maxDepth,
+    include,
+    exclude,
+    userAgent: USER_AGENT,
+    checkUrl: assertPublicTarget,
+    onProgress: ({ done, total, url: pageUrl }) => job.setProgress({
+      stage: 'crawling',
+      percent: Math.round((done / total) * 100),
+      label: `Seite ${done + 1} von ${total}: ${pageUrl}`
+    }),
+    scanPage: async (pageUrl) => {
+      let links = [];
+      const result = await runA11yCheck(pageUrl, {
+        standard,
+        runners,
+        lang,
+        onPage: async (page) => {
+          links = await page.$$eval('a[href]', as => as.map(a => a.href)).catch(() => []);
+        }
+      });
+      return { result, links };
+    }
+  });
+
+  // Crawls werden nicht gespeichert: je Seite alle Fundstellen
+  return pageOccurrences({
+    success: true,
+    url,
+    standard: STANDARDS[standard],
+    standardCode: standard,
+    runners,
+    lang,
+    timestamp: new Date().toISOString(),
+    analysisTimeMs: Date.now() - startTime,
+    limits: { maxPages, maxDepth, include: include || [], exclude: exclude || [] },
+    discovery: { sitemapUrls: crawl.sitemapUrls, urlsDiscovered: crawl.discovered },
+    ...aggregateSiteResults(crawl.pages, { lang }),
+    pages: crawl.pages
+  });
+}
+
+app.post('/api/a11y-crawl', scanLimiter, async (req, res) => {
+  let { url, maxPages, maxDepth, include, exclude } = req.body || {};
   if (!url || !isValidUrl(url)) {
-    return res.status(400).json({ success: false, error: 'Bitte eine gültige URL mit http(s) angeben.' });
+    return res.status(400).json({ success: false, error: 'Bitte eine gültige Start-URL mit http(s) angeben.' });
+  }
+  if (!isStringList(include) || !isStringList(exclude)) {
+    return res.status(400).json({ success: false, error: 'include/exclude müssen Listen von Mustern sein (z. B. "/blog/*").' });
+  }
+  const standard = parseStandard(req.body.standard);
+  if (!standard) {
+    return res.status(400).json({ success: false, error: INVALID_STANDARD_ERROR });
+  }
+  const runners = parseRunners(req.body.runners);
+  if (!runners) {
+    return res.status(400).json({ success: false, error: INVALID_RUNNERS_ERROR });
+  }
+  const lang = reportLang(req);
+  if (!lang) {
+    return res.status(400).json({ success: false, error: INVALID_LANG_ERROR });
   }
   url = enforceHttps(url);
-  console.log(`[A11Y-CHECK] Starte Analyse für: ${url}`);
+  try {
+    await assertPublicTarget(url);
+  } catch (err) {
+    console.warn(`[A11Y-CRAWL] Ziel abgelehnt (${err.code}): ${url}`);
+    return res.status(err.status).json({ success: false, error: err.message, code: err.code });
+  }
+  let callbackUrl;
+  try {
+    callbackUrl = await parseCallbackUrl(req.body.callbackUrl);
+  } catch (err) {
+    return res.status(err.status || 400).json({ success: false, error: err.message, code: err.code });
+  }
+  const options = {
+    url,
+    standard,
+    runners,
+    lang,
+    maxPages: clampInt(maxPages, 10, CRAWL_MAX_PAGES),
+    maxDepth: clampInt(maxDepth, 2, CRAWL_MAX_DEPTH),
+    include,
+    exclude
+  };
 
+  let job;
   try {
-    const results = await pa11y(url, {
-      standard: 'WCAG2AA',
-      includeNotices: true,
-      includeWarnings: true,
-      timeout: 90000,
-      wait: 1000,
-      chromeLaunchConfig: { args: ['--no-sandbox', '--disable-setuid-sandbox'], ignoreHTTPSErrors: true },
-      headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/127 Safari/537.36' }
+    job = scanQueue.submit((job) => {
+      console.log(`[A11Y-CRAWL] Starte Crawl für: ${url} (max. ${options.maxPages} Seiten, Tiefe ${options.maxDepth})`);
+      return runSiteCrawl(job, options).catch(err => {
+        console.error('[A11Y-CRAWL] Fehler beim Crawl:', err.name, err.message);
+        throw err;
+      });
+    }, { kind: 'crawl', url, ...callbackMeta(callbackUrl) });
+  } catch (err) {
+    console.warn(`[A11Y-CRAWL] Abgelehnt (${err.code}): ${url}`);
+    return res.status(err.status || 503).json({ success: false, error: err.message, code: err.code });
+  }
+  notifyOnCompletion(job);
+
+  res.status(202)
+    .location(`/api/a11y-crawl/${job.id}`)
+    .json(describeJob(job));
+});
+
+app.get('/api/a11y-crawl/:jobId', sendJobStatus('crawl'));
+app.get('/api/a11y-crawl/:jobId/events', streamJobEvents('crawl'));
+
+// ===== Batch (Liste von URLs) =====
+const BATCH_MAX_URLS = Number(process.env.BATCH_MAX_URLS) || 50;
+const BATCH_MAX_CONCURRENCY = Number(process.env.BATCH_MAX_CONCURRENCY) || 2;
+
+async function runBatch(job, { entries, standard, runners, lang, concurrency }) {
+  const startTime = Date.now();
+  const total = entries.filter(e => !e.error).length;
+  let finished = 0;
+  job.setProgress({ stage: 'batch', percent: 0, label: `0 von ${total} URLs geprüft` });
+
+  const pages = await mapWithConcurrency(entries, concurrency, async ({ url, label, error }) => {
+    if (error) return { url, label, success: false, error };
+    let page;
+    try {
+      page = { url, label, ...await runA11yCheck(url, { standard, runners, lang }) };
+    } catch (err) {
+      console.error(`[A11Y-BATCH] Fehler bei ${url}:`, err.name, err.message);
+      page = { url, label, success: false, error: `Analyse fehlgeschlagen: ${err.name} – ${err.message}`, code: err.code };
+    }
+    finished++;
+    job.setProgress({
+      stage: 'batch',
+      percent: Math.round((finished / total) * 100),
+      label: `${finished} von ${total} URLs geprüft`
     });
+    return page;
+  });
+
+  return pageOccurrences({
+    success: true,
+    standard: STANDARDS[standard],
+    standardCode: standard,
+    runners,
+    lang,
+    timestamp: new Date().toISOString(),
+    analysisTimeMs: Date.now() - startTime,
+    ...aggregateSiteResults(pages, { lang }),
+    pages
+  });
+}
+
+app.post('/api/a11y-batch', scanLimiter, async (req, res) => {
+  const { urls, concurrency } = req.body || {};
+  if (!Array.isArray(urls) || !urls.length) {
+    return res.status(400).json({ success: false, error: 'Bitte eine Liste von URLs angeben ("urls").' });
+  }
+  if (urls.length > BATCH_MAX_URLS) {
+    return res.status(400).json({ success: false, error: `Maximal ${BATCH_MAX_URLS} URLs pro Batch.` });
+  }
+  const standard = parseStandard(req.body.standard);
+  if (!standard) {
+    return res.status(400).json({ success: false, error: INVALID_STANDARD_ERROR });
+  }
+  const runners = parseRunners(req.body.runners);
+  if (!runners) {
+    return res.status(400).json({ success: false, error: INVALID_RUNNERS_ERROR });
+  }
+  const lang = reportLang(req);
+  if (!lang) {
+    return res.status(400).json({ success: false, error: INVALID_LANG_ERROR });
+  }
+
+  // Einträge: "https://…" oder { url, label }; ungültige werden einzeln gemeldet
+  const entries = urls.map((entry) => {
+    const url = typeof entry === 'string' ? entry : entry?.url;
+    const label = typeof entry?.label === 'string' ? entry.label : undefined;
+    if (!url || !isValidUrl(url)) {
+      return { url: url ?? null, label, error: 'Ungültige URL – bitte http(s) angeben.' };
+    }
+    return { url: enforceHttps(url), label };
+  });
+  if (entries.every(e => e.error)) {
+    return res.status(400).json({ success: false, error: 'Keine gültige URL in der Liste.', pages: entries.map(e => ({ ...e, success: false })) });
+  }
+  let callbackUrl;
+  try {
+    callbackUrl = await parseCallbackUrl(req.body.callbackUrl);
+  } catch (err) {
+    return res.status(err.status || 400).json({ success: false, error: err.message, code: err.code });
+  }
+  const options = { entries, standard, runners, lang, concurrency: clampInt(concurrency, BATCH_MAX_CONCURRENCY, BATCH_MAX_CONCURRENCY) };
+
+  let job;
+  try {
+    job = scanQueue.submit((job) => {
+      console.log(`[A11Y-BATCH] Starte Batch mit ${entries.length} URLs`);
+      return runBatch(job, options);
+    }, { kind: 'batch', ...callbackMeta(callbackUrl) });
+  } catch (err) {
+    console.warn(`[A11Y-BATCH] Abgelehnt (${err.code})`);
+    return res.status(err.status || 503).json({ success: false, error: err.message, code: err.code });
+  }
+  notifyOnCompletion(job);
+
+  res.status(202)
+    .location(`/api/a11y-batch/${job.id}`)
+    .json(describeJob(job));
+});
+
+app.get('/api/a11y-batch/:jobId', sendJobStatus('batch'));
+app.get('/api/a11y-batch/:jobId/events', streamJobEvents('batch'));
 
-    const counts = results.issues.reduce((acc, i) => {
-      if (i.type === 'error') acc.errors++;
-      else if (i.type === 'warning') acc.warnings++;
-      else acc.notices++;
-      return acc;
-    }, { errors: 0, warnings: 0, notices: 0 });
+// ===== Zustellungen (callbackUrl) einsehen =====
+// Ohne Admin-Token nur je Job: die Job-ID kennt nur, wer den Scan beauftragt hat
+const deliveryJobId = (req) => (typeof req.query.jobId === 'string' && req.query.jobId) || undefined;
 
-    const scoring = calculateDetailedScore(counts);
-    const processedIssues = processAndCleanIssues(results.issues);
-    const summary = generateSummary(processedIssues);
-    const analysisTime = Date.now() - startTime;
+app.get('/api/webhooks/deliveries', (req, res, next) => (deliveryJobId(req) ? next() : requireAdmin(req, res, next)), (req, res) => {
+  res.json({ success: true, deliveries: webhooks.list({ jobId: deliveryJobId(req) }) });
+});
+
+app.get('/api/webhooks/deliveries/:id', requireAdmin, (req, res) => {
+  const delivery = webhooks.get(req.params.id);
+  if (!delivery) return res.status(404).json({ success: false, error: 'Zustellung nicht gefunden oder abgelaufen.' });
+  res.json({ success: true, delivery });
+});
+
+// ===== Scan-Verlauf (API) =====
+const SCANS_PAGE_MAX = 100;
+
+// Nur mit Admin-Token; Filter: `url` (exakt) oder `domain` (inkl. Subdomains); Blättern über `limit` und `offset`.
+// Einzelne Scans sind über ihre (nicht erratbare) ID abrufbar, die nur der Auftraggeber erhält.
+app.get('/api/scans', requireAdmin, (req, res) => {
+  const { url, domain } = req.query;
+  if (url != null && (typeof url !== 'string' || !isValidUrl(url))) {
+    return res.status(400).json({ success: false, error: 'Der Filter "url" muss eine gültige http(s)-URL sein.' });
+  }
+  if (domain != null && (typeof domain !== 'string' || !/^[a-z0-9.-]+$/i.test(domain))) {
+    return res.status(400).json({ success: false, error: 'Der Filter "domain" muss ein Hostname sein (z. B. example.com).' });
+  }
+  const limit = clampInt(req.query.limit, 20, SCANS_PAGE_MAX);
+  const offset = Math.max(0, Number.parseInt(req.query.offset, 10) || 0);
+  const { total, items } = scanStore.list({ url: url && enforceHttps(url), domain, limit, offset });
+  res.json({ success: true, total, limit, offset, scans: items });
+});
+
+app.get('/api/scans/:id', async (req, res) => {
+  const format = responseFormat(req);
+  if (!format) {
+    return res.status(400).json({ success: false, error: INVALID_FORMAT_ERROR });
+  }
+  const scan = await scanStore.get(req.params.id);
+  if (!scan) {
+    return res.status(404).json({ success: false, error: 'Scan nicht gefunden oder bereits gelöscht.' });
+  }
+  if (format !== 'json') return sendReport(res, format, { scanId: scan.id, ...scan.report });
+  res.json({ success: true, scan: { ...scan, report: presentScan(scan.id, scan.report) } });
+});
+
+// Alle Fundstellen eines Problems, seitenweise; `suppressed=true` für unterdrückte Befunde
+app.get('/api/scans/:id/issues/:code/occurrences', async (req, res) => {
+  const scan = await scanStore.get(req.params.id);
+  if (!scan) {
+    return res.status(404).json({ success: false, error: 'Scan nicht gefunden oder bereits gelöscht.' });
+  }
+  const suppressed = req.query.suppressed === 'true';
+  const groups = (suppressed ? scan.report.suppressed?.issues : scan.report.issues) || [];
+  const group = groups.find(g => g.code === req.params.code);
+  if (!group) {
+    return res.status(404).json({ success: false, error: `Problem "${req.params.code}" kommt in diesem Scan nicht vor.` });
+  }
+  // Ältere Scans kennen nur die Selektoren, ohne HTML-Ausschnitt
+  const occurrences = group.occurrences
+    || group.selectors.map(selector => ({ selector, context: null, message: null, runners: group.runners }));
+  const limit = clampInt(req.query.limit, OCCURRENCES_PAGE, OCCURRENCES_PAGE_MAX);
+  const offset = Math.max(0, Number.parseInt(req.query.offset, 10) || 0);
+  const { total, items } = sliceOccurrences(occurrences, { offset, limit });
+  const next = offset + limit < total ? occurrencesUrl(scan.id, group.code, { offset: offset + limit, limit, suppressed }) : null;
+  res.json({ success: true, scanId: scan.id, code: group.code, total, offset, limit, next, occurrences: items });
+});
+
+app.get('/api/scans/:id/screenshots/:file', async (req, res) => {
+  const data = await scanStore.getFile(req.params.id, req.params.file);
+  if (!data) {
+    return res.status(404).json({ success: false, error: 'Screenshot nicht gefunden oder bereits gelöscht.' });
+  }
+  res.set('Cache-Control', 'private, max-age=86400').type('image/jpeg').send(data);
+});
+
+function diffError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Eine Seite des Vergleichs: gespeicherte Scan-ID oder mitgeschicktes Ergebnis
+// (Scan-Antwort oder Datensatz aus GET /api/scans/:id)
+// Mitgeschickte Berichte kommen vom Client: jede Gruppe braucht einen Code, Selektoren sind Listen
+const isDiffIssue = (group) => group !== null && typeof group === 'object' && !Array.isArray(group) &&
+  typeof group.code === 'string' &&
+  ['selectors', 'samples'].every(key => group[key] == null || Array.isArray(group[key]));
 
+async function resolveDiffSide(value, name) {
+  if (typeof value === 'string') {
+    const scan = await scanStore.get(value);
+    if (!scan) throw diffError(404, `Scan "${value}" (${name}) nicht gefunden.`);
+    return { scanId: scan.id, report: scan.report };
+  }
+  const report = value?.report ?? value;
+  if (!report || typeof report !== 'object' || !Array.isArray(report.issues)) {
+    throw diffError(400, `"${name}" muss eine Scan-ID oder ein Scan-Ergebnis mit "issues" sein.`);
+  }
+  if (!report.issues.every(isDiffIssue)) {
+    throw diffError(400, `"${name}.issues" darf nur Objekte mit "code" (Text) und optional "selectors" bzw. "samples" (Listen) enthalten.`);
+  }
+  return { scanId: report.scanId ?? value.id ?? null, report };
+}
+
+app.post('/api/scans/diff', async (req, res) => {
+  const { before, after } = req.body || {};
+  if (before == null || after == null) {
+    return res.status(400).json({ success: false, error: 'Bitte "before" und "after" angeben (Scan-IDs oder Ergebnisse).' });
+  }
+  const side = ({ scanId, report }) => ({ scanId, url: report.url ?? null, timestamp: report.timestamp ?? null, standardCode: report.standardCode ?? null });
+  try {
+    const [a, b] = await Promise.all([resolveDiffSide(before, 'before'), resolveDiffSide(after, 'after')]);
     res.json({
       success: true,
-      url,
-      standard: 'WCAG 2.1 AA (via pa11y WCAG2AA)',
-      counts,
-      ...scoring,
-      timestamp: new Date().toISOString(),
-      analysisTimeMs: analysisTime,
-      issues: processedIssues,
-      summary,
-      meta: {
-        totalIssuesFound: results.issues.length,
-        uniqueIssueTypes: processedIssues.length,
-        worstOffenders: processedIssues.slice(0, 5).map(i =>
-          i.translation?.title || i.code.replace(/^WCAG2AA\./, '')
-        )
-      }
+      before: side(a),
+      after: side(b),
+      sameUrl: a.report.url === b.report.url,
+      ...diffReports(a.report, b.report)
     });
   } catch (err) {
-    console.error('[A11Y-CHECK] Fehler bei Analyse:', err.name, err.message);
-    const analysisTime = Date.now() - startTime;
-    res.status(500).json({
-      success: false,
-      error: `Analyse fehlgeschlagen: ${err.name} – ${err.message}`,
-      timestamp: new Date().toISOString(),
-      analysisTimeMs: analysisTime
+    if (!err.status) console.error('[SCAN-DIFF] Vergleich fehlgeschlagen:', err.message);
+    res.status(err.status || 500).json({ success: false, error: err.status ? err.message : 'Vergleich fehlgeschlagen.' });
+  }
+});
+
+// ===== Unterdrückungsregeln =====
+// Regeln ändern veröffentlichte Scores, daher nur mit Admin-Token
+app.get('/api/suppressions', requireAdmin, (req, res) => {
+  const { domain } = req.query;
+  if (domain != null && (typeof domain !== 'string' || !/^[a-z0-9.-]+$/i.test(domain))) {
+    return res.status(400).json({ success: false, error: 'Der Filter "domain" muss ein Hostname sein (z. B. example.com).' });
+  }
+  res.json({ success: true, rules: suppressionStore.list({ domain }) });
+});
+
+app.get('/api/suppressions/:id', requireAdmin, (req, res) => {
+  const rule = suppressionStore.get(req.params.id);
+  if (!rule) return res.status(404).json({ success: false, error: 'Regel nicht gefunden.' });
+  res.json({ success: true, rule });
+});
+
+// Body: { domain, code, selector?, justification, expiresAt? }
+app.post('/api/suppressions', requireAdmin, async (req, res) => {
+  try {
+    const rule = await suppressionStore.create(req.body || {});
+    console.log(`[SUPPRESSIONS] Regel ${rule.id} angelegt: ${rule.domain} ${rule.code}${rule.selector ? ` (${rule.selector})` : ''}`);
+    res.status(201).location(`/api/suppressions/${rule.id}`).json({ success: true, rule });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message, code: err.code });
+  }
+});
+
+app.patch('/api/suppressions/:id', requireAdmin, async (req, res) => {
+  try {
+    const rule = await suppressionStore.update(req.params.id, req.body || {});
+    if (!rule) return res.status(404).json({ success: false, error: 'Regel nicht gefunden.' });
+    res.json({ success: true, rule });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message, code: err.code });
+  }
+});
+
+app.delete('/api/suppressions/:id', requireAdmin, async (req, res) => {
+  if (!await suppressionStore.remove(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Regel nicht gefunden.' });
+  }
+  console.log(`[SUPPRESSIONS] Regel ${req.params.id} gelöscht`);
+  res.status(204).end();
+});
+
+// ===== Monitore (wiederkehrende Prüfungen mit Alarm) =====
+const alertSender = createAlertSender({
+  smtpUrl: process.env.SMTP_URL,
+  mailFrom: process.env.ALERT_MAIL_FROM || 'a11y-check@localhost',
+  checkUrl: assertPublicTarget,
+  dispatcher: publicDispatcher,
+  userAgent: USER_AGENT
+});
+
+// Alarm, wenn der Score unter `minScore` fällt (nur beim Unterschreiten, nicht bei jedem
+// Lauf darunter) oder gegenüber dem letzten Lauf neue kritische Issues auftreten
+async function runMonitor(monitor) {
+  const previousRun = monitor.lastRun?.status === 'done' ? monitor.lastRun : null;
+  const job = scanQueue.submit(
+    () => runA11yCheck(monitor.url, monitor.options).then(result => storeScan(result, 'monitor')),
+    { kind: 'monitor', url: monitor.url, monitorId: monitor.id }
+  );
+  await job.done;
+  if (job.status === 'failed') {
+    console.error(`[MONITOR] Prüfung ${monitor.id} fehlgeschlagen:`, job.error.name, job.error.message);
+    return { status: 'failed', error: `${job.error.name} – ${job.error.message}`, code: job.error.code };
+  }
+
+  const result = job.result;
+  const reasons = [];
+  if (monitor.minScore != null && result.score < monitor.minScore &&
+      (!previousRun || previousRun.score >= monitor.minScore)) {
+    reasons.push(`Score ${result.score} liegt unter der Schwelle ${monitor.minScore}.`);
+  }
+  let newCritical = [];
+  if (monitor.alertOnNewCritical && previousRun?.scanId) {
+    const previous = await scanStore.get(previousRun.scanId);
+    if (previous) {
+      newCritical = diffReports(previous.report, result).new.filter(g => g.isPriority === 'critical');
+      if (newCritical.length) {
+        reasons.push(`${newCritical.length} neue kritische Probleme: ${newCritical.map(g => g.title).join(', ')}`);
+      }
+    }
+  }
+
+  const run = { status: 'done', scanId: result.scanId ?? null, score: result.score, grade: result.grade, alerted: reasons.length > 0 };
+  if (reasons.length) {
+    console.warn(`[MONITOR] Alarm für ${monitor.url}: ${reasons.join(' ')}`);
+    run.reasons = reasons;
+    run.deliveries = await alertSender.send(monitor.alert, {
+      type: 'a11y-monitor-alert',
+      monitorId: monitor.id,
+      url: monitor.url,
+      reasons,
+      score: result.score,
+      previousScore: previousRun?.score ?? null,
+      newCritical,
+      scanId: run.scanId,
+      timestamp: new Date().toISOString()
     });
   }
+  return run;
+}
+
+const monitorService = createMonitorService({
+  file: join(DATA_DIR, 'monitors.json'),
+  maxMonitors: Number(process.env.MONITORS_MAX) || 100,
+  minIntervalMinutes: Number(process.env.MONITOR_MIN_INTERVAL_MINUTES) || 15,
+  runMonitor
+});
+await monitorService.init();
+monitorService.start();
+
+// Monitore starten Chromium und verschicken Alarme an beliebige Ziele: alle Routen nur mit Admin-Token
+// Body: { url, schedule, minScore?, alertOnNewCritical?, webhookUrl?, email?, standard?, runners?, profile?, lang? }
+app.post('/api/monitors', requireAdmin, scanLimiter, async (req, res) => {
+  let { url, schedule, minScore, alertOnNewCritical, webhookUrl, email } = req.body || {};
+  if (!url || !isValidUrl(url)) {
+    return res.status(400).json({ success: false, error: 'Bitte eine gültige URL mit http(s) angeben.' });
+  }
+  const standard = parseStandard(req.body.standard);
+  if (!standard) {
+    return res.status(400).json({ success: false, error: INVALID_STANDARD_ERROR });
+  }
+  const runners = parseRunners(req.body.runners);
+  if (!runners) {
+    return res.status(400).json({ success: false, error: INVALID_RUNNERS_ERROR });
+  }
+  const profiles = parseProfiles(req.body.profile);
+  if (!profiles || profiles.length > 1) {
+    return res.status(400).json({ success: false, error: 'Monitore prüfen genau ein Profil. ' + INVALID_PROFILES_ERROR });
+  }
+  const lang = reportLang(req);
+  if (!lang) {
+    return res.status(400).json({ success: false, error: INVALID_LANG_ERROR });
+  }
+  if (webhookUrl != null && (typeof webhookUrl !== 'string' || !isValidUrl(webhookUrl))) {
+    return res.status(400).json({ success: false, error: 'webhookUrl muss eine http(s)-URL sein.' });
+  }
+  url = enforceHttps(url);
+  try {
+    await assertPublicTarget(url);
+    if (webhookUrl) await assertPublicTarget(webhookUrl);
+    const monitor = await monitorService.create({
+      url,
+      schedule,
+      minScore: minScore == null ? null : Number(minScore),
+      alertOnNewCritical,
+      webhookUrl,
+      email,
+      options: { standard, runners, profile: profiles[0], lang }
+    });
+    console.log(`[MONITOR] ${monitor.id} angelegt: ${url} (${monitor.schedule} UTC)`);
+    res.status(201).location(`/api/monitors/${monitor.id}`).json({ success: true, monitor });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message, code: err.code });
+  }
+});
+
+app.get('/api/monitors', requireAdmin, (_req, res) => {
+  res.json({ success: true, monitors: monitorService.list() });
+});
+
+app.get('/api/monitors/:id', requireAdmin, (req, res) => {
+  const monitor = monitorService.get(req.params.id);
+  if (!monitor) return res.status(404).json({ success: false, error: 'Monitor nicht gefunden.' });
+  res.json({ success: true, monitor });
+});
+
+const setMonitorPaused = (paused) => async (req, res) => {
+  let monitor;
+  try {
+    monitor = await monitorService.setPaused(req.params.id, paused);
+  } catch (err) {
+    return res.status(err.status || 500).json({ success: false, error: err.message, code: err.code });
+  }
+  if (!monitor) return res.status(404).json({ success: false, error: 'Monitor nicht gefunden.' });
+  console.log(`[MONITOR] ${monitor.id} ${paused ? 'pausiert' : 'fortgesetzt'}`);
+  res.json({ success: true, monitor });
+};
+app.post('/api/monitors/:id/pause', requireAdmin, setMonitorPaused(true));
+app.post('/api/monitors/:id/resume', requireAdmin, setMonitorPaused(false));
+
+app.delete('/api/monitors/:id', requireAdmin, async (req, res) => {
+  if (!await monitorService.remove(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Monitor nicht gefunden.' });
+  }
+  console.log(`[MONITOR] ${req.params.id} gelöscht`);
+  res.status(204).end();
+});
+
+// ===== Sprachen (Texte für das Widget) =====
+app.get('/api/locales/:lang', (req, res) => {
+  const lang = parseLang(req.params.lang);
+  if (!lang) return res.status(404).json({ success: false, error: INVALID_LANG_ERROR });
+  res.set('Cache-Control', 'public, max-age=3600').json({ success: true, lang, strings: widgetStrings(lang) });
+});
+
+// ===== Katalog-Abdeckung =====
+// Codes, die ohne Übersetzung gemeldet wurden – die häufigsten zuerst.
+// Die Beispielmeldungen stammen aus geprüften Seiten, daher nur mit Admin-Token
+app.get('/api/catalog/unmapped', requireAdmin, (_req, res) => {
+  const codes = catalogCoverage.list();
+  res.json({ success: true, total: codes.length, codes });
 });
 
 // ===== Demo-Seite zum Testen =====
-app.get('/', (_req, res) => {
+// `?lang=en` zeigt das Widget in einer anderen Sprache
+app.get('/', (req, res) => {
+  const lang = parseLang(req.query.lang ?? DEFAULT_LANG) || DEFAULT_LANG;
   res.type('text/html').send(`<!doctype html>
-<html lang="de">
+<html lang="${lang}">
 <head>
 <meta charset="utf-8"/>
 <meta name="viewport" content="width=device-width,initial-scale=1"/>
@@ -369,8 +1114,7 @@ app.get('/', (_req, res) => {
   <h1>Verbesserter A11y Check Widget – Jetzt mit sauberen Reports! 🚀</h1>
   <p>Keine Wall-of-Text mehr, sondern strukturierte, verständliche Ergebnisse.</p>
   <div id="regukit-a11y"></div>
-  <script src="https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js"></script>
-  <script src="/embed.js" data-endpoint="/api/a11y-check"></script>
+  <script src="/embed.js" data-endpoint="/api/a11y-check" data-lang="${lang}"></script>
 </body>
 </html>`);
 });
@@ -391,14 +1135,13 @@ app.listen(PORT, '0.0.0.0', () => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('👋 Server wird heruntergefahren...');
-  process.exit(0);
-});
-
-process.on('SIGINT', () => {
+const shutdown = async () => {
   console.log('👋 Server wird heruntergefahren...');
+  monitorService.stop();
+  await browserPool.close();
   process.exit(0);
-});
+};
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
 
 
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBrowserPool } from '../lib/browser-pool.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Browser-Attrappe: zählt Starts, schließt auf Wunsch
+function fakeLauncher() {
+  const browsers = [];
+  const launch = async () => {
+    let connected = true;
+    const browser = {
+      id: browsers.length + 1,
+      isConnected: () => connected,
+      on() {},
+      close: async () => { connected = false; },
+      createIncognitoBrowserContext: async () => ({ newPage: async () => ({}), close: async () => {} })
+    };
+    browsers.push(browser);
+    return browser;
+  };
+  return { launch, browsers };
+}
+
+test('höchstens maxPages Seiten gleichzeitig, Wartende kommen der Reihe nach dran', async () => {
+  const { launch } = fakeLauncher();
+  const pool = createBrowserPool({ launch, maxPages: 2, recycleAfter: 100 });
+  let inFlight = 0;
+  let peak = 0;
+  await Promise.all(Array.from({ length: 6 }, () => pool.withPage(async () => {
+    peak = Math.max(peak, ++inFlight);
+    await sleep(5);
+    inFlight--;
+  })));
+  assert.equal(peak, 2);
+  assert.deepEqual({ active: pool.stats().active, waiting: pool.stats().waiting }, { active: 0, waiting: 0 });
+  await pool.close();
+});
+
+test('nach recycleAfter Scans wird auch unter Last neu gestartet', async () => {
+  const { launch, browsers } = fakeLauncher();
+  const pool = createBrowserPool({ launch, maxPages: 2, recycleAfter: 3, maxWaiting: 20 });
+  const used = [];
+  await Promise.all(Array.from({ length: 10 }, (_, i) => pool.withPage(async ({ browser }) => {
+    used.push(browser.id);
+    await sleep(5 + (i % 3));
+  })));
+  assert.deepEqual(used, [1, 1, 1, 2, 2, 2, 3, 3, 3, 4]);
+  assert.deepEqual(browsers.map(b => b.isConnected()), [false, false, false, true]);
+  await pool.close();
+});
+
+test('während des Neustarts bekommt niemand eine Seite des alten Browsers', async () => {
+  const { launch } = fakeLauncher();
+  const pool = createBrowserPool({ launch, maxPages: 2, recycleAfter: 1, maxWaiting: 20 });
+  await Promise.all(Array.from({ length: 4 }, () => pool.withPage(async ({ browser }) => {
+    assert.equal(browser.isConnected(), true);
+    await sleep(2);
+  })));
+  await pool.close();
+});
+
+test('volle Warteschlange und Zeitüberschreitung ergeben 503', async () => {
+  const { launch } = fakeLauncher();
+  const pool = createBrowserPool({ launch, maxPages: 1, maxWaiting: 1, acquireTimeoutMs: 20 });
+  const lease = await pool.acquire();
+  const waiting = pool.acquire();
+  await assert.rejects(pool.acquire(), { code: 'POOL_FULL', status: 503 });
+  await assert.rejects(waiting, { code: 'POOL_TIMEOUT', status: 503 });
+  await lease.release();
+  assert.equal(pool.stats().active, 0);
+  await pool.close();
+});
+
+test('eine abgelaufene Wartezeit entfernt keinen anderen Wartenden', async () => {
+  const { launch } = fakeLauncher();
+  const pool = createBrowserPool({ launch, maxPages: 1, maxWaiting: 5, acquireTimeoutMs: 30 });
+  const first = await pool.acquire();
+  const second = pool.acquire();
+  await sleep(10);
+  const third = pool.acquire();
+  await first.release();
+  const lease = await second;
+  // Der Timer von `second` war schon gelöscht; `third` wartet weiter und läuft selbst ab
+  assert.equal(pool.stats().waiting, 1);
+  await assert.rejects(third, { code: 'POOL_TIMEOUT' });
+  await lease.release();
+  await pool.close();
+});
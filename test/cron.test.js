@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { nextRun, parseCron, recursEveryYear } from '../lib/cron.js';
+
+const at = (iso) => new Date(iso);
+
+// Referenz: Minute für Minute suchen, wie cron selbst
+function bruteForceNextRun(cron, from) {
+  const d = new Date(from);
+  d.setUTCSeconds(0, 0);
+  for (let i = 0; i < 366 * 24 * 60; i++) {
+    d.setUTCMinutes(d.getUTCMinutes() + 1);
+    if (cron.matches(d)) return d;
+  }
+  return null;
+}
+
+test('parseCron kennt Kürzel, Listen, Bereiche und Schritte', () => {
+  assert.equal(parseCron('@daily').expression, '0 3 * * *');
+  assert.equal(parseCron('hourly').expression, '0 * * * *');
+  const cron = parseCron('*/15 8-18/2 1,15 * 1-5');
+  assert.equal(cron.matches(at('2024-04-01T08:45:00Z')), true);
+  assert.equal(cron.matches(at('2024-04-01T09:00:00Z')), false);
+});
+
+test('parseCron lehnt ungültige Ausdrücke mit INVALID_SCHEDULE ab', () => {
+  for (const input of ['* * * *', '60 * * * *', '* 24 * * *', '0 0 0 * *', '5-1 * * * *', '*/0 * * * *', 'abc * * * *']) {
+    assert.throws(() => parseCron(input), { code: 'INVALID_SCHEDULE', status: 400 }, input);
+  }
+});
+
+test('parseCron: Tag oder Wochentag, wenn beide eingeschränkt sind; Sonntag als 0 oder 7', () => {
+  const cron = parseCron('0 12 1 * 7');
+  assert.equal(cron.matches(at('2024-05-01T12:00:00Z')), true); // Mittwoch, der 1.
+  assert.equal(cron.matches(at('2024-05-05T12:00:00Z')), true); // Sonntag
+  assert.equal(cron.matches(at('2024-05-06T12:00:00Z')), false);
+});
+
+test('minInterval berücksichtigt den Abstand über Mitternacht', () => {
+  assert.equal(parseCron('*/5 * * * *').minInterval, 5);
+  assert.equal(parseCron('0 3 * * *').minInterval, 24 * 60);
+  assert.equal(parseCron('0 1,23 * * *').minInterval, 120);
+  assert.equal(parseCron('10,50 23 * * *').minInterval, 40);
+});
+
+test('nextRun liefert den nächsten Termin nach `from`', () => {
+  assert.equal(nextRun(parseCron('0 3 * * *'), at('2024-01-01T03:00:00Z')).toISOString(), '2024-01-02T03:00:00.000Z');
+  assert.equal(nextRun(parseCron('0 3 * * *'), at('2024-01-01T02:59:30Z')).toISOString(), '2024-01-01T03:00:00.000Z');
+  assert.equal(nextRun(parseCron('59 23 31 12 *'), at('2024-01-01T00:00:00Z')).toISOString(), '2024-12-31T23:59:00.000Z');
+  assert.equal(nextRun(parseCron('0 0 29 2 *'), at('2024-03-01T00:00:00Z')), null);
+});
+
+test('nextRun stimmt mit der minutengenauen Suche überein', () => {
+  const expressions = ['*/15 * * * *', '0 3 * * 1', '0 0 29 2 *', '30 23 31 * *', '5 4 * 6 0', '0 12 1,15 * 5', '*/7 8-18/2 10-20 3,9 1-5'];
+  for (const expression of expressions) {
+    const cron = parseCron(expression);
+    for (let k = 0; k < 8; k++) {
+      const from = new Date(Date.UTC(2023 + (k % 3), (k * 5) % 12, 1 + (k * 7) % 28, (k * 5) % 24, (k * 13) % 60, 17));
+      assert.equal(nextRun(cron, from)?.toISOString() ?? null, bruteForceNextRun(cron, from)?.toISOString() ?? null, `${expression} ab ${from.toISOString()}`);
+    }
+  }
+});
+
+test('nextRun bleibt auch bei unmöglichen Terminen schnell', () => {
+  const cron = parseCron('0 0 31 2 *');
+  const started = Date.now();
+  for (let i = 0; i < 200; i++) assert.equal(nextRun(cron, at('2024-01-01T00:00:00Z')), null);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('recursEveryYear erkennt Termine, die nicht jedes Jahr vorkommen', () => {
+  assert.equal(recursEveryYear(parseCron('0 3 * * *')), true);
+  assert.equal(recursEveryYear(parseCron('0 0 1 1 *')), true);
+  assert.equal(recursEveryYear(parseCron('0 0 29 2 *')), false);
+  assert.equal(recursEveryYear(parseCron('0 0 31 4 *')), false);
+});
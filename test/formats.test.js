@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFormat, toJUnit, toSarif } from '../lib/formats.js';
+
+const page = {
+  success: true,
+  url: 'https://example.org/',
+  lang: 'en',
+  score: 72,
+  grade: 'C',
+  standardCode: 'WCAG2AA',
+  issues: [
+    {
+      code: 'WCAG2AA.Principle1.Guideline1_1.1_1_1.H37',
+      type: 'error',
+      count: 2,
+      isPriority: 'critical',
+      successCriterion: '1.1.1',
+      wcagLevel: 'A',
+      translation: { title: 'Missing alt text', description: 'Images need alt text.', fix: 'Add alt <text>' },
+      messages: ['Img element missing an alt attribute.'],
+      selectors: ['#logo', 'main > img'],
+      occurrences: [{ selector: '#logo', context: '<img id="logo">' }]
+    },
+    { code: 'WCAG2AA.Principle2.Guideline2_4.2_4_1.H64.1', type: 'warning', count: 1, isPriority: 'warning', selectors: [] }
+  ],
+  suppressed: { issues: [{ code: 'WCAG2AA.Principle1.Guideline1_4.1_4_3.G18.Fail', type: 'error', count: 1, rules: [{ justification: 'Brand colour' }] }] }
+};
+
+test('parseFormat kennt alle Formate und "xml" als JUnit', () => {
+  assert.equal(parseFormat('SARIF'), 'sarif');
+  assert.equal(parseFormat('xml'), 'junit');
+  assert.equal(parseFormat('csv'), null);
+});
+
+test('toJUnit: Fehler schlagen fehl, unterdrückte sind übersprungen, Texte in der Berichtssprache', () => {
+  const xml = toJUnit(page);
+  assert.match(xml, /<testsuites name="a11y-check" tests="3" failures="1" errors="0" skipped="1"/);
+  assert.match(xml, /<failure type="critical" message="Missing alt text \(2×\)">/);
+  assert.match(xml, /Fix: Add alt &lt;text&gt;/);
+  assert.match(xml, /Element: #logo/);
+  assert.match(xml, /<skipped message="Suppressed: Brand colour"\/>/);
+});
+
+test('toJUnit: fehlgeschlagene Seiten werden zu <error>', () => {
+  const xml = toJUnit({ lang: 'de', pages: [{ success: false, error: 'Zeitüberschreitung', code: 'TIMEOUT' }] });
+  assert.match(xml, /<testcase classname="HTML-Snippet" name="Prüfung"/);
+  assert.match(xml, /<error type="TIMEOUT" message="Zeitüberschreitung"\/>/);
+});
+
+test('toSarif: Regeln, Ergebnisse, Fundstellen und Unterdrückungen', () => {
+  const [run] = toSarif({ ...page, timestamp: '2024-01-01T00:00:00.000Z' }).runs;
+  assert.equal(run.tool.driver.rules.length, 3);
+  assert.equal(run.results.length, 3);
+  const [error, warning, suppressed] = run.results;
+  assert.equal(error.level, 'error');
+  assert.equal(warning.level, 'warning');
+  assert.equal(error.locations.length, 2);
+  assert.equal(error.locations[0].physicalLocation.region.snippet.text, '<img id="logo">');
+  assert.deepEqual(suppressed.suppressions, [{ kind: 'external', status: 'accepted', justification: 'Brand colour' }]);
+  assert.equal(run.invocations[0].executionSuccessful, true);
+});
+
+test('toSarif: fehlgeschlagene Seiten werden zu Tool-Benachrichtigungen', () => {
+  const [run] = toSarif({ lang: 'fr', pages: [{ success: false, url: 'https://example.org/' }] }).runs;
+  assert.equal(run.invocations[0].executionSuccessful, false);
+  assert.equal(run.invocations[0].toolExecutionNotifications[0].message.text, 'Vérification échouée');
+});
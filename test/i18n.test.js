@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { LANGS, parseLang, t } from '../lib/i18n.js';
+
+const read = (path) => readFileSync(new URL(`../${path}`, import.meta.url), 'utf8');
+const catalog = (lang) => JSON.parse(read(`locales/${lang}.json`));
+
+test('parseLang akzeptiert Regionen und lehnt Unbekanntes ab', () => {
+  assert.equal(parseLang('en-US'), 'en');
+  assert.equal(parseLang('fr_CH'), 'fr');
+  assert.equal(parseLang('DE'), 'de');
+  assert.equal(parseLang('es'), null);
+});
+
+test('t() ersetzt Platzhalter und fällt auf den Schlüssel zurück', () => {
+  assert.equal(t('en', 'cli.invalidUrl', { url: 'ftp://x' }), 'Invalid URL: ftp://x – please use http(s).');
+  assert.equal(t('de', 'cli.gibtEsNicht'), 'cli.gibtEsNicht');
+});
+
+test('alle Sprachen haben dieselben Schlüssel', () => {
+  const keys = (lang) => Object.entries(catalog(lang)).flatMap(([section, texts]) => Object.keys(texts).map(k => `${section}.${k}`)).sort();
+  for (const lang of LANGS) assert.deepEqual(keys(lang), keys('en'), lang);
+});
+
+test('embed.js bringt die englischen Widget-Texte unverändert mit', () => {
+  const source = read('public/embed.js');
+  const fallback = /const FALLBACK_STRINGS = (\{[\s\S]*?\n {2}\});/.exec(source);
+  assert.ok(fallback, 'FALLBACK_STRINGS nicht gefunden');
+  assert.deepEqual(JSON.parse(fallback[1]), catalog('en').widget);
+});
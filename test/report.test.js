@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeRunnerIssues, pageOccurrences, parseRunners, parseStandard, processAndCleanIssues, sliceOccurrences } from '../lib/report.js';
+
+const htmlcs = (code, selector, extra = {}) => ({ code, type: 'error', message: `Meldung ${code}`, selector, runner: 'htmlcs', ...extra });
+const axe = (code, selector, extra = {}) => ({ code, type: 'error', message: `axe ${code}`, selector, runner: 'axe', runnerExtras: {}, ...extra });
+
+test('parseStandard akzeptiert Kurzform und pa11y-Code', () => {
+  assert.equal(parseStandard(undefined), 'WCAG2AA');
+  assert.equal(parseStandard('aaa'), 'WCAG2AAA');
+  assert.equal(parseStandard(' A '), 'WCAG2A');
+  assert.equal(parseStandard('WCAG2AA'), 'WCAG2AA');
+  assert.equal(parseStandard('AAAA'), null);
+  assert.equal(parseStandard('Section508'), null);
+});
+
+test('parseRunners akzeptiert einzelne Runner, Listen und "both"', () => {
+  assert.deepEqual(parseRunners(undefined), ['htmlcs']);
+  assert.deepEqual(parseRunners('axe'), ['axe']);
+  assert.deepEqual(parseRunners('both'), ['htmlcs', 'axe']);
+  assert.deepEqual(parseRunners(['axe', 'htmlcs']), ['htmlcs', 'axe']);
+  assert.equal(parseRunners([]), null);
+  assert.equal(parseRunners(['htmlcs', 'lighthouse']), null);
+});
+
+test('mergeRunnerIssues zählt dasselbe Element zum selben Kriterium nur einmal', () => {
+  const { issues, duplicates } = mergeRunnerIssues([
+    htmlcs('WCAG2AA.Principle1.Guideline1_4.1_4_3.G18.Fail', '#a'),
+    axe('color-contrast', '#a'),
+    axe('color-contrast', '#b')
+  ]);
+  assert.equal(duplicates, 1);
+  assert.equal(issues.length, 2);
+  assert.deepEqual(issues[0].runners, ['htmlcs', 'axe']);
+  assert.deepEqual(issues[0].axeRules, ['color-contrast']);
+  assert.deepEqual(issues[1].runners, ['axe']);
+});
+
+test('processAndCleanIssues gruppiert je Code und zählt Fundstellen', () => {
+  const code = 'WCAG2AA.Principle1.Guideline1_1.1_1_1.H37';
+  const [group] = processAndCleanIssues([htmlcs(code, '#a'), htmlcs(code, '#b'), htmlcs(code, '#a')]);
+  assert.equal(group.count, 3);
+  assert.deepEqual(group.selectors, ['#a', '#b']);
+  assert.equal(group.occurrences.length, 3);
+  assert.equal(group.successCriterion, '1.1.1');
+});
+
+test('AAA-Kriterien mit AA-Techniken bleiben Warnungen', () => {
+  const priority = Object.fromEntries(processAndCleanIssues([
+    htmlcs('WCAG2AA.Principle1.Guideline1_4.1_4_3.G18.Fail', '#a'),
+    htmlcs('WCAG2AAA.Principle1.Guideline1_4.1_4_6.G18.Fail', '#a'),
+    htmlcs('WCAG2AA.Principle2.Guideline2_4.2_4_4.H77,H78,H79,H80,H81', '#b'),
+    htmlcs('WCAG2AAA.Principle2.Guideline2_4.2_4_9.H30', '#b')
+  ]).map(g => [g.code.split('.')[3], g.isPriority]));
+  assert.deepEqual(priority, { '1_4_3': 'critical', '1_4_6': 'warning', '2_4_4': 'critical', '2_4_9': 'warning' });
+});
+
+const occurrences = (n) => Array.from({ length: n }, (_, i) => ({ selector: `#e${i}` }));
+
+test('sliceOccurrences liefert eine Seite samt Gesamtzahl', () => {
+  assert.deepEqual(sliceOccurrences(occurrences(5), { offset: 3, limit: 10 }), {
+    total: 5, offset: 3, limit: 10, items: [{ selector: '#e3' }, { selector: '#e4' }]
+  });
+});
+
+test('pageOccurrences kürzt gespeicherte Berichte und verlinkt den Rest', () => {
+  const report = {
+    issues: [{ code: 'A', occurrences: occurrences(30) }, { code: 'B', occurrences: occurrences(3) }],
+    suppressed: { issues: [{ code: 'C', occurrences: occurrences(25) }] }
+  };
+  const link = (code, { suppressed }) => `/more/${code}${suppressed ? '?suppressed' : ''}`;
+  const paged = pageOccurrences(report, { limit: 20, link });
+  assert.equal(paged.issues[0].occurrences.items.length, 20);
+  assert.equal(paged.issues[0].occurrences.total, 30);
+  assert.equal(paged.issues[0].occurrences.next, '/more/A');
+  assert.equal(paged.issues[1].occurrences.next, null);
+  assert.equal(paged.suppressed.issues[0].occurrences.next, '/more/C?suppressed');
+});
+
+test('pageOccurrences ohne Link gibt alle Fundstellen zurück (Crawl, Batch)', () => {
+  const paged = pageOccurrences({ pages: [{ issues: [{ code: 'A', occurrences: occurrences(30) }] }] });
+  const { items, total, next } = paged.pages[0].issues[0].occurrences;
+  assert.equal(items.length, 30);
+  assert.equal(total, 30);
+  assert.equal(next, null);
+});
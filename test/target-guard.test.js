@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertPublicTarget, isBlockedAddress, publicLookup } from '../lib/target-guard.js';
+
+test('isBlockedAddress sperrt interne und reservierte Bereiche', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '169.254.169.254', '192.168.0.1', '100.64.0.1', '::1', 'fd00::1', 'fe80::1']) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+});
+
+test('isBlockedAddress lässt öffentliche Adressen durch', () => {
+  for (const address of ['8.8.8.8', '93.184.216.34', '2606:4700::1111', '2a00:1450:4001::1']) {
+    assert.equal(isBlockedAddress(address), false, address);
+  }
+});
+
+test('isBlockedAddress behandelt IPv4 in IPv6 wie IPv4', () => {
+  assert.equal(isBlockedAddress('::ffff:127.0.0.1'), true);
+  assert.equal(isBlockedAddress('::ffff:7f00:1'), true);
+  assert.equal(isBlockedAddress('::ffff:8.8.8.8'), false);
+});
+
+test('isBlockedAddress sperrt NAT64 und 6to4', () => {
+  assert.equal(isBlockedAddress('64:ff9b::7f00:1'), true);
+  assert.equal(isBlockedAddress('64:ff9b::808:808'), true);
+  assert.equal(isBlockedAddress('2002:7f00:1::'), true);
+  assert.equal(isBlockedAddress('2002:808:808::1'), true);
+});
+
+test('assertPublicTarget lehnt andere Protokolle und interne IP-Literale ab', async () => {
+  await assert.rejects(assertPublicTarget('file:///etc/passwd'), { code: 'TARGET_NOT_ALLOWED', status: 400 });
+  await assert.rejects(assertPublicTarget('http://127.0.0.1:8080/'), { code: 'TARGET_NOT_ALLOWED' });
+  await assert.rejects(assertPublicTarget('http://[::1]/'), { code: 'TARGET_NOT_ALLOWED' });
+  await assert.doesNotReject(assertPublicTarget('https://8.8.8.8/'));
+});
+
+test('publicLookup sperrt Hosts, die auf interne Adressen zeigen', async () => {
+  const lookup = (host, options) => new Promise((resolve, reject) => {
+    publicLookup(host, options, (err, address) => (err ? reject(err) : resolve(address)));
+  });
+  await assert.rejects(lookup('localhost', {}), { code: 'TARGET_NOT_ALLOWED' });
+  await assert.rejects(lookup('localhost', { all: true }), { code: 'TARGET_NOT_ALLOWED' });
+});